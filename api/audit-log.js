@@ -0,0 +1,57 @@
+import { isAdminRequest } from '../lib/admin-auth.js';
+import { queryAuditEvents, AUDIT_EVENT_TYPES } from '../lib/audit-log.js';
+
+// Automated inventory changes and emails, newest first (see lib/audit-log.js).
+// Filters, all optional and combined: sku, variantId (numeric id or GID), syncKey, type, since and
+// until (ISO dates or timestamps in ms), limit (default 100, at most 1000).
+// Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/audit-log?sku=WHEEL-29&since=2026-10-01"
+
+const MAX_LIMIT = 1000;
+
+// Returns a timestamp in ms, undefined if the value is missing, or NaN if it can't be read.
+function parseTime(value) {
+  if (!value) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const params = url.searchParams;
+    const since = parseTime(params.get('since'));
+    const until = parseTime(params.get('until'));
+    const limit = params.has('limit') ? Number(params.get('limit')) : 100;
+    const type = params.get('type');
+
+    if (Number.isNaN(since) || Number.isNaN(until)) {
+      return res.status(400).json({ success: false, error: 'since and until must be ISO dates or timestamps in ms.' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_LIMIT}.` });
+    }
+    if (type && !AUDIT_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${AUDIT_EVENT_TYPES.join(', ')}.` });
+    }
+
+    const events = await queryAuditEvents({
+      sku: params.get('sku'),
+      variantId: params.get('variantId'),
+      syncKey: params.get('syncKey'),
+      type,
+      since,
+      until,
+      limit,
+    });
+    return res.status(200).json({ success: true, count: events.length, events });
+  } catch (error) {
+    console.error('Error in /api/audit-log:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,27 @@
+import { isJobRequest } from '../lib/admin-auth.js';
+import { auditSyncGroups } from '../lib/sync-audit.js';
+import { dispatchAlert } from '../lib/notifications.js';
+import { renderTemplate } from '../lib/email-templates.js';
+
+// Scheduled drift audit for sync groups (see vercel.json). Report-only unless `repair=true` is passed.
+// Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/audit-sync-groups?repair=true"
+export default async function handler(req, res) {
+  if (!isJobRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const repair = url.searchParams.get('repair') === 'true';
+    const report = await auditSyncGroups({ repair });
+
+    if (report.drifted.length > 0) {
+      await dispatchAlert('sync_drift', { ...renderTemplate('sync_drift', report), data: report });
+    }
+
+    return res.status(200).json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error in /api/audit-sync-groups:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,27 @@
+import { isAdminRequest } from '../lib/admin-auth.js';
+import { fetchConversionStats } from '../lib/conversions.js';
+
+// Back-in-stock conversion rates per product, with a per-variant breakdown (see lib/conversions.js).
+// Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" https://your-vercel-url.vercel.app/api/back-in-stock-conversions
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const products = await fetchConversionStats();
+    const sent = products.reduce((sum, p) => sum + p.sent, 0);
+    const converted = products.reduce((sum, p) => sum + p.converted, 0);
+    return res.status(200).json({
+      success: true,
+      totals: { sent, converted, conversionRate: sent > 0 ? Math.round((converted / sent) * 1000) / 10 : 0 },
+      products,
+    });
+  } catch (error) {
+    console.error('Error in /api/back-in-stock-conversions:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,37 @@
+import { isAdminRequest } from '../lib/admin-auth.js';
+import { recomputeHistoricalCounts } from '../lib/historical-counts.js';
+
+// Each call scans the order history for up to four minutes.
+export const config = {
+  maxDuration: 300,
+};
+
+// Recomputes custom.historical_order_count for every variant from the full order history
+// (net of cancellations, refunds and edits). Dry run by default: the response lists every
+// variant whose count would change. Pass `apply=true` to write the changes.
+// A large history takes several calls: until the response has `done: true`, call again with
+// `run=<runId>` from the previous response to continue where it stopped.
+// Example: curl -X POST -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/backfill-historical-counts?apply=true"
+// Example: curl -X POST -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/backfill-historical-counts?run=RUN_ID"
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const apply = url.searchParams.get('apply') === 'true';
+    const runId = url.searchParams.get('run');
+    const summary = await recomputeHistoricalCounts({ apply, runId });
+    if (!summary) {
+      return res.status(404).json({ success: false, error: `No backfill run ${runId}. Runs expire a day after their last progress.` });
+    }
+    return res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Error in /api/backfill-historical-counts:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,45 @@
+import { readVerifiedWebhook } from '../lib/webhooks.js';
+import { reportCustomerData, redactCustomer, redactShop } from '../lib/privacy.js';
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+// Shopify's mandatory compliance webhooks: customers/data_request, customers/redact and shop/redact (see lib/privacy.js).
+export default async function handler(req, res) {
+  let rawBody;
+  try {
+    rawBody = await readVerifiedWebhook(req);
+    if (rawBody === null) {
+      return res.status(401).send('Unauthorized');
+    }
+  } catch (error) {
+    return res.status(400).send('Invalid webhook payload');
+  }
+
+  try {
+    const topic = req.headers['x-shopify-topic'];
+    const body = JSON.parse(rawBody);
+
+    if (topic === 'customers/data_request') {
+      const data = await reportCustomerData(body);
+      return res.status(200).json({ success: true, message: data ? `Reported ${data.waitlists.length} waitlist entries to the store owner.` : 'No customer data stored.' });
+    }
+    if (topic === 'customers/redact') {
+      const { waitlists } = await redactCustomer(body);
+      return res.status(200).json({ success: true, message: `Removed customer from ${waitlists} waitlists.` });
+    }
+    if (topic === 'shop/redact') {
+      await redactShop(body);
+      return res.status(200).json({ success: true, message: 'Removed all customer data.' });
+    }
+
+    console.log(`Received unhandled compliance topic: ${topic}.`);
+    return res.status(200).json({ message: `Unhandled topic ${topic}.` });
+  } catch (error) {
+    console.error('Error in /api/compliance-webhooks:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,37 @@
+import { verifyToken } from '../lib/tokens.js';
+import { fetchWaitlistVariant, addToWaitlist, alertStockRequest, waitlistPage as page } from '../lib/waitlist.js';
+
+// Double opt-in: the link in the confirmation email lands here. GET only shows a page with a
+// confirm button, since mail scanners open links; the button POSTs to the same URL, which adds
+// the signup to the waitlist.
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const payload = verifyToken(url.searchParams.get('token'));
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  if (!payload || payload.action !== 'confirm') {
+    return res.status(400).send(page('This confirmation link is invalid or has expired. Please sign up again from the product page.'));
+  }
+
+  try {
+    const variant = await fetchWaitlistVariant(payload.variantId);
+    if (!variant) {
+      return res.status(404).send(page('Sorry, this product is no longer available.'));
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).send(page(`Get an email when ${variant.productTitle} (${variant.variantTitle}) is back in stock?`, 'Confirm my alert'));
+    }
+
+    if (await addToWaitlist(payload.variantId, payload.email)) {
+      await alertStockRequest(variant, payload.email);
+    }
+    return res.status(200).send(page(`You're on the list! We'll email you when ${variant.productTitle} (${variant.variantTitle}) is back in stock.`));
+  } catch (error) {
+    console.error('Error in /api/confirm-notification:', error);
+    return res.status(500).send(page('Something went wrong. Please try again later.'));
+  }
+}
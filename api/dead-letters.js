@@ -0,0 +1,92 @@
+import { isAdminRequest } from '../lib/admin-auth.js';
+import { listDeadLetters, getDeadLetter, discardDeadLetter, replayDeadLetter } from '../lib/dead-letters.js';
+import { routeWebhook } from './index.js';
+import { processInventoryUpdate } from './handle-inventory-update.js';
+import { processProductUpdate } from './handle-product-update.js';
+import { getAvailableAtLocation } from '../lib/inventory.js';
+
+// Webhook deliveries that failed part-way through (see lib/dead-letters.js).
+//   GET                            every dead letter, most recent failure first (without payloads)
+//   GET    ?id=...                 one dead letter, with its raw payload and completed steps
+//   POST   ?id=...&action=replay   run it again, skipping the steps that already succeeded
+//   DELETE ?id=...                 discard it
+// Example: curl -X POST -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/dead-letters?id=WEBHOOK_ID&action=replay"
+
+// The payload's `available` is an absolute quantity from when the delivery failed, and stock may
+// have moved since. The trigger item's current quantity is used instead, and the sync and kits
+// steps run again with it (both set absolute quantities, so repeating them is harmless).
+async function replayInventoryUpdate(letter, steps) {
+  const body = JSON.parse(letter.payload);
+  if (body.location_id) {
+    const current = await getAvailableAtLocation(`gid://shopify/InventoryItem/${body.inventory_item_id}`, `gid://shopify/Location/${body.location_id}`);
+    if (current === null) {
+      return { message: `Inventory item ${body.inventory_item_id} is no longer stocked at location ${body.location_id}. Nothing to replay.` };
+    }
+    console.log(`Dead Letters: Replaying inventory item ${body.inventory_item_id} with its current quantity ${current} (payload had ${body.available}).`);
+    body.available = current;
+    steps.rerun('sync', 'kits');
+  }
+  return processInventoryUpdate(body, letter.webhookId, steps);
+}
+
+const replayers = {
+  orders: (letter, steps) => routeWebhook(letter.topic, JSON.parse(letter.payload), steps),
+  inventory: replayInventoryUpdate,
+  products: (letter, steps) => processProductUpdate(letter.topic, JSON.parse(letter.payload), steps),
+};
+
+export default async function handler(req, res) {
+  if (!['GET', 'DELETE', 'POST'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const id = url.searchParams.get('id');
+
+    if (req.method === 'GET') {
+      if (!id) {
+        return res.status(200).json({ success: true, deadLetters: await listDeadLetters() });
+      }
+      const letter = await getDeadLetter(id);
+      if (!letter) {
+        return res.status(404).json({ success: false, error: `No dead letter ${id}.` });
+      }
+      return res.status(200).json({ success: true, deadLetter: letter });
+    }
+
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'id is required.' });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!(await discardDeadLetter(id))) {
+        return res.status(404).json({ success: false, error: `No dead letter ${id}.` });
+      }
+      return res.status(200).json({ success: true, message: `Discarded dead letter ${id}.` });
+    }
+
+    // POST
+    if (url.searchParams.get('action') !== 'replay') {
+      return res.status(400).json({ success: false, error: 'action must be "replay".' });
+    }
+    let replayed;
+    try {
+      replayed = await replayDeadLetter(id, replayers);
+    } catch (error) {
+      // The dead letter has been updated with the steps that completed this time.
+      console.error(`Dead Letters: Replay of ${id} failed:`, error);
+      return res.status(500).json({ success: false, error: `Replay failed: ${error.message}` });
+    }
+    if (!replayed) {
+      return res.status(404).json({ success: false, error: `No dead letter ${id}.` });
+    }
+    return res.status(200).json({ success: true, ...replayed });
+  } catch (error) {
+    console.error('Error in /api/dead-letters:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
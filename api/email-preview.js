@@ -0,0 +1,43 @@
+import { isAdminRequest } from '../lib/admin-auth.js';
+import { templates, renderTemplate } from '../lib/email-templates.js';
+
+// Renders any email template with its sample data (see lib/email-templates.js). Without `template`,
+// lists the templates. `format` is html (default), text or json.
+// Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/email-preview?template=back_in_stock" -o preview.html
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const name = url.searchParams.get('template');
+    const format = url.searchParams.get('format') || 'html';
+
+    if (!name) {
+      return res.status(200).json({
+        success: true,
+        templates: Object.entries(templates).map(([templateName, template]) => ({ name: templateName, layout: template.layout, description: template.description })),
+      });
+    }
+    if (!templates[name]) {
+      return res.status(404).json({ success: false, error: `Unknown template "${name}".` });
+    }
+    if (!['html', 'text', 'json'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be html, text or json.' });
+    }
+
+    const rendered = renderTemplate(name, templates[name].sample);
+    if (format === 'json') {
+      return res.status(200).json({ success: true, template: name, ...rendered });
+    }
+    res.setHeader('Content-Type', format === 'html' ? 'text/html; charset=utf-8' : 'text/plain; charset=utf-8');
+    return res.status(200).send(format === 'html' ? rendered.html : `${rendered.subject ? `Subject: ${rendered.subject}\n\n` : ''}${rendered.text}`);
+  } catch (error) {
+    console.error('Error in /api/email-preview:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
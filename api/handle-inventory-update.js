@@ -1,6 +1,13 @@
-import { Redis } from '@upstash/redis';
-import { Resend } from 'resend';
-import { createHmac } from 'crypto';
+import { redis } from '../lib/redis.js';
+import { shopifyGraphqlClient, legacyId } from '../lib/shopify.js';
+import { readVerifiedWebhook, buffer } from '../lib/webhooks.js';
+import { isAdminRequest } from '../lib/admin-auth.js';
+import { planRun } from '../lib/dry-run.js';
+import { createSteps, recordDeadLetter, discardDeadLetter } from '../lib/dead-letters.js';
+import { getSyncGroup } from '../lib/sync-index.js';
+import { setQuantityIfUnchanged, consumeSyncEcho } from '../lib/inventory.js';
+import { recalculateKits } from '../lib/kits.js';
+import { releaseNotificationWave } from '../lib/back-in-stock.js';
 
 export const config = {
   api: {
@@ -8,43 +15,26 @@ export const config = {
   },
 };
 
-// --- HELPERS ---
+// --- LOOP & DUPLICATE SUPPRESSION ---
 
-async function buffer(readable) {
-  const chunks = [];
-  for await (const chunk of readable) {
-    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
-  }
-  return Buffer.concat(chunks);
-}
+// Shopify retries a delivery with the same X-Shopify-Webhook-Id, so an id we've already
+// claimed is a replay. Echoes of our own adjustments are recognised with the markers
+// written by setQuantityIfUnchanged (see lib/inventory.js).
+const WEBHOOK_ID_TTL_SECONDS = 60 * 60 * 24;
 
-// Helper to run GraphQL queries/mutations
-async function shopifyGraphqlClient(query, variables) {
-  const shopifyDomain = process.env.SHOPIFY_STORE_DOMAIN || 'loamlabs.myshopify.com';
-  
-  const response = await fetch(`https://${shopifyDomain}/admin/api/2024-04/graphql.json`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_API_TOKEN,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
+const webhookIdKey = (webhookId) => `inventory_webhook_processed:${webhookId}`;
 
-  const jsonResponse = await response.json();
-  if (jsonResponse.errors) {
-    console.error('Shopify GraphQL Error:', JSON.stringify(jsonResponse.errors, null, 2));
-    throw new Error('GraphQL Error');
-  }
-  return jsonResponse;
+// Returns true if this delivery id was not seen before (and claims it), false for a replay.
+async function claimWebhookId(webhookId) {
+  if (!webhookId) return true;
+  const result = await redis.set(webhookIdKey(webhookId), Date.now(), { nx: true, ex: WEBHOOK_ID_TTL_SECONDS });
+  return result === 'OK';
 }
 
-const redis = new Redis({
-  url: process.env.UPSTASH_REDIS_REST_URL,
-  token: process.env.UPSTASH_REDIS_REST_TOKEN,
-});
-
-const resend = new Resend(process.env.RESEND_API_KEY);
+// Released when processing fails, so Shopify's retry of the same delivery isn't skipped.
+async function releaseWebhookId(webhookId) {
+  if (webhookId) await redis.del(webhookIdKey(webhookId));
+}
 
 // --- DATA FETCHING ---
 
@@ -55,14 +45,29 @@ const getVariantDataByInventoryItemId = async (inventoryItemId) => {
         variant {
           id
           title
+          sku
           inventoryQuantity
           syncKey: metafield(namespace: "custom", key: "inventory_sync_key") {
             value
           }
+          syncMode: metafield(namespace: "custom", key: "inventory_sync_mode") {
+            value
+          }
+          inventoryItem {
+            inventoryLevels(first: 10) {
+              edges {
+                node {
+                  location { id name }
+                  quantities(names: ["available"]) { quantity }
+                }
+              }
+            }
+          }
           image {
             url(transform: {maxWidth: 200, maxHeight: 200, crop: CENTER})
           }
           product {
+            id
             title
             handle
             onlineStoreUrl
@@ -81,200 +86,213 @@ const getVariantDataByInventoryItemId = async (inventoryItemId) => {
   return result.data?.inventoryItem?.variant;
 };
 
-// --- SYNC LOGIC (BROAD SEARCH STRATEGY) ---
+// --- SYNC LOGIC (SYNC-KEY INDEX) ---
+
+// "location": mirror only the location named in the webhook (default).
+// "all_locations": mirror the trigger variant's quantity at every location it's stocked at.
+// Set per variant with custom.inventory_sync_mode, or store-wide with INVENTORY_SYNC_MODE.
+const SYNC_MODES = ['location', 'all_locations'];
+
+function resolveSyncMode(triggerVariant) {
+  const mode = triggerVariant.syncMode?.value || process.env.INVENTORY_SYNC_MODE || 'location';
+  if (!SYNC_MODES.includes(mode)) {
+    console.warn(`Sync Logic: Unknown sync mode "${mode}", falling back to "location".`);
+    return 'location';
+  }
+  return mode;
+}
+
+// Works out which (location, quantity) pairs the siblings should be brought to.
+// The webhook's own location always uses the webhook's quantity, which is fresher than a read.
+function resolveSyncTargets(triggerVariant, newQuantity, locationId, mode) {
+  const targets = [{ locationId: String(locationId), quantity: newQuantity }];
+  if (mode !== 'all_locations') return targets;
+
+  for (const { node: level } of triggerVariant.inventoryItem?.inventoryLevels?.edges || []) {
+    const levelLocationId = legacyId(level.location.id);
+    if (levelLocationId === String(locationId)) continue;
+    targets.push({ locationId: levelLocationId, quantity: level.quantities[0].quantity });
+  }
+  return targets;
+}
 
+// Returns the siblings and (location, quantity) targets it synced, or null if there was nothing to sync.
 async function syncSiblingInventory(triggerVariant, newQuantity, locationId) {
   const syncKey = triggerVariant.syncKey?.value;
 
   // If no sync key, we don't do anything
-  if (!syncKey) return;
+  if (!syncKey) return null;
 
-  console.log(`Sync Logic: Key found [${syncKey}]. Trigger Variant: ${triggerVariant.id}. Target Qty: ${newQuantity}`);
+  const mode = resolveSyncMode(triggerVariant);
+  console.log(`Sync Logic: Key found [${syncKey}]. Trigger Variant: ${triggerVariant.id}. Target Qty: ${newQuantity}. Mode: ${mode}`);
 
-  // STRATEGY: Instead of searching by Metafield (which is slow/flaky), 
-  // we search by the Product Title to find "cousins", then filter in JS.
-  
-  // 1. Construct a broad search term from the title (First 3 words)
-  // e.g. "e*thirteen Sidekick Front Hub..." -> "e*thirteen Sidekick Front"
-  const safeTitleTerms = triggerVariant.product.title.split(' ').slice(0, 3).join(' ');
-  
-  const querySiblings = `
-    query getSiblings($filter: String!) {
-      productVariants(first: 50, query: $filter) {
-        edges {
-          node {
-            id
-            title
-            inventoryQuantity
-            product { title } 
-            inventoryItem { id }
-            metafield(namespace: "custom", key: "inventory_sync_key") { value }
-          }
-        }
-      }
-    }
-  `;
-
-  // We simply search for the title text. This is always indexed.
-  const filter = `${safeTitleTerms}`; 
-  const result = await shopifyGraphqlClient(querySiblings, { filter });
-  const candidates = result.data.productVariants.edges.map(e => e.node);
-
-  console.log(`Sync Logic: Broad title search for "${safeTitleTerms}" found ${candidates.length} candidates.`);
+  // 1. Look up the exact siblings in the sync-key index (see lib/sync-index.js)
+  const members = await getSyncGroup(syncKey);
+  if (!members.some(m => m.variantId === triggerVariant.id)) {
+    console.warn(`Sync Logic: Trigger variant ${triggerVariant.id} is missing from the index for [${syncKey}]. The index may need a rebuild.`);
+  }
 
-  // 2. Strict Filter in JavaScript
-  // We only keep items that have the EXACT SAME sync key
-  const siblingsToUpdate = candidates.filter(v => 
-    v.metafield?.value === syncKey &&      // Must match key
-    v.id !== triggerVariant.id &&          // Don't update self
-    v.inventoryQuantity !== newQuantity    // Don't update if already correct
-  );
+  const siblingsToUpdate = members.filter(m => m.variantId !== triggerVariant.id);
 
   if (siblingsToUpdate.length === 0) {
     console.log('Sync Logic: No siblings found needing update.');
-    return;
+    return null;
   }
 
-  console.log(`Sync Logic: Found ${siblingsToUpdate.length} siblings to update: ${siblingsToUpdate.map(s => s.product.title).join(', ')}`);
+  if (!locationId) {
+    console.error("Sync Logic Error: No location_id provided, cannot adjust.");
+    return null;
+  }
 
-  // 3. Apply Updates
-  const mutation = `
-    mutation adjustInventory($input: InventoryAdjustQuantitiesInput!) {
-      inventoryAdjustQuantities(input: $input) {
-        userErrors {
-          field
-          message
+  console.log(`Sync Logic: Found ${siblingsToUpdate.length} siblings to check: ${siblingsToUpdate.map(s => s.productTitle).join(', ')}`);
+
+  // 2. Apply Updates
+  // One failing sibling shouldn't stop the others; failures are re-thrown together at the end
+  // so the webhook returns 500 and Shopify retries it.
+  const targets = resolveSyncTargets(triggerVariant, newQuantity, locationId, mode);
+  const auditTrigger = { source: 'sync', triggerVariantId: legacyId(triggerVariant.id), syncKey, mode };
+  const failures = [];
+  for (const sibling of siblingsToUpdate) {
+    for (const target of targets) {
+      const label = `${sibling.productTitle} (${sibling.variantTitle}) at location ${target.locationId}`;
+      try {
+        const { changed, from, notStocked } = await setQuantityIfUnchanged(sibling, target.quantity, target.locationId, auditTrigger);
+        if (notStocked) {
+          console.warn(`Sync Logic: Sibling ${label} is not stocked there. Skipped.`);
+        } else if (changed) {
+          console.log(`Sync Logic: Set sibling ${label} from ${from} to ${target.quantity}`);
+        } else {
+          console.log(`Sync Logic: Sibling ${label} already at ${target.quantity}`);
         }
+      } catch (error) {
+        console.error(`Sync Logic Error: Could not update sibling ${sibling.variantId} at location ${target.locationId}:`, error.message);
+        failures.push(error);
       }
     }
-  `;
+  }
 
-  for (const sibling of siblingsToUpdate) {
-    const delta = newQuantity - sibling.inventoryQuantity;
-    
-    if (!locationId) {
-        console.error("Sync Logic Error: No location_id provided, cannot adjust.");
-        break;
-    }
+  if (failures.length > 0) {
+    throw new Error(`Sync Logic: ${failures.length} of ${siblingsToUpdate.length * targets.length} sibling updates failed.`);
+  }
+  return { siblingIds: siblingsToUpdate.map(s => s.variantId), targets };
+}
 
-    const variables = {
-      input: {
-        reason: "correction",
-        name: "available",
-        changes: [
-          {
-            delta: delta,
-            inventoryItemId: sibling.inventoryItem.id,
-            locationId: `gid://shopify/Location/${locationId}`
-          }
-        ]
-      }
-    };
+// --- KIT LOGIC (see lib/kits.js) ---
 
-    await shopifyGraphqlClient(mutation, variables);
-    console.log(`Sync Logic: Updated sibling ${sibling.product.title} (${sibling.title}) by ${delta} to match ${newQuantity}`);
+// Siblings the sync just updated are components too, but their own webhooks are skipped as
+// echoes, so their kits are recalculated here along with the trigger variant's.
+async function updateKitsForComponent(triggerVariant, newQuantity, locationId, synced) {
+  const componentIds = [triggerVariant.id, ...(synced?.siblingIds || [])];
+  const targets = synced?.targets || [{ locationId: String(locationId), quantity: newQuantity }];
+  for (const target of targets) {
+    await recalculateKits(componentIds, target.locationId, new Map([[triggerVariant.id, target.quantity]]));
   }
 }
 
 // --- MAIN HANDLER ---
 
+// Returns the response body. Throws on failure, so the handler can release the webhook id.
+// The work runs as named steps, so a replay from the dead-letter queue skips the ones that
+// already succeeded (see lib/dead-letters.js). Also used for those replays (see api/dead-letters.js).
+export async function processInventoryUpdate(body, webhookId, steps = createSteps()) {
+  const { inventory_item_id, location_id, available } = body;
+
+  // 1. Skip replays. An echo of our own sync or kit adjustment doesn't sync again, but the
+  // variant it raised still gets its back-in-stock waitlist notified below.
+  const dedupe = await steps.run('dedupe', async () => {
+    if (!(await claimWebhookId(webhookId))) {
+      console.log(`Skipped duplicate delivery ${webhookId} for inventory item ${inventory_item_id}.`);
+      return 'duplicate';
+    }
+    if (location_id && await consumeSyncEcho(inventory_item_id, location_id, available)) {
+      console.log(`Sync echo for inventory item ${inventory_item_id} at location ${location_id} (available: ${available}, webhook ${webhookId}). Skipping sync and kits.`);
+      return 'echo';
+    }
+    return null;
+  });
+  if (dedupe === 'duplicate') return { message: 'Duplicate webhook delivery skipped.' };
+
+  // 2. Fetch Data
+  const variant = await getVariantDataByInventoryItemId(inventory_item_id);
+
+  if (!variant) {
+    console.log(`No variant found for inventory item ID ${inventory_item_id}.`);
+    return { message: 'Variant not found.' };
+  }
+
+  // --- LOGIC BLOCK A: INVENTORY SYNC & KITS ---
+  // Skipped for echoes: the sync that made the change already brought siblings and kits in line.
+  if (dedupe === 'echo') {
+      console.log(`Sync echo for variant ${legacyId(variant.id)}. Checking its waitlist only.`);
+  } else if (location_id) {
+      const synced = await steps.run('sync', () => syncSiblingInventory(variant, available, location_id));
+      await steps.run('kits', () => updateKitsForComponent(variant, available, location_id, synced));
+  } else {
+      console.warn("Webhook missing location_id, skipping sync and kit logic.");
+  }
+
+  // --- LOGIC BLOCK B: NOTIFICATIONS (see lib/back-in-stock.js) ---
+  if (!available || available <= 0) {
+    return { message: 'Synced inventory (if applicable). No notifications sent (stock <= 0).' };
+  }
+
+  const wave = await steps.run('notifications', () => releaseNotificationWave(variant));
+  if (wave.sent === 0) {
+    return { message: `Synced inventory. No notifications sent for variant ${legacyId(variant.id)}: ${wave.reason}.` };
+  }
+  return { success: true, message: `Synced inventory and sent ${wave.sent} notifications (${wave.remaining} still queued).` };
+}
+
+// Dry run: POST a sample payload with ?dry_run=true and the admin secret in the Authorization
+// header. No HMAC is needed; nothing is written, and the response lists what would have been
+// (see lib/dry-run.js).
+// Example: curl -X POST -H "Authorization: Bearer $ADMIN_API_SECRET" -d '{"inventory_item_id":123,"location_id":456,"available":3}' "https://your-vercel-url.vercel.app/api/handle-inventory-update?dry_run=true"
+async function handleDryRun(req, res) {
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  try {
+    const body = JSON.parse((await buffer(req)).toString('utf8') || '{}');
+    const { plan, result } = await planRun(() => processInventoryUpdate(body, req.headers['x-shopify-webhook-id']));
+    return res.status(200).json({ success: true, dryRun: true, result, plan });
+  } catch (error) {
+    console.error('Error in /api/handle-inventory-update (dry run):', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
+
 export default async function handler(req, res) {
-  // 1. Verification
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (url.searchParams.get('dry_run') === 'true') {
+    return handleDryRun(req, res);
+  }
+
+  // Verification
   let rawBody;
   try {
-    const buf = await buffer(req);
-    rawBody = buf.toString('utf8');
-    const hmac = req.headers['x-shopify-hmac-sha256'];
-    const hash = createHmac('sha256', process.env.SHOPIFY_WEBHOOK_SECRET).update(rawBody, 'utf8').digest('base64');
-    if (hmac !== hash) {
+    rawBody = await readVerifiedWebhook(req);
+    if (rawBody === null) {
       return res.status(401).send('Unauthorized');
     }
   } catch (error) {
     return res.status(400).send('Invalid webhook payload');
   }
 
+  const webhookId = req.headers['x-shopify-webhook-id'];
+
+  const steps = createSteps();
   try {
     if (!rawBody) { return res.status(200).json({ message: 'Empty body' }); }
     const body = JSON.parse(rawBody);
-    
-    const { inventory_item_id, location_id, available } = body;
-
-    // 2. Fetch Data
-    const variant = await getVariantDataByInventoryItemId(inventory_item_id);
-
-    if (!variant) {
-      console.log(`No variant found for inventory item ID ${inventory_item_id}.`);
-      return res.status(200).json({ message: 'Variant not found.' });
-    }
-
-    // --- LOGIC BLOCK A: INVENTORY SYNC ---
-    if (location_id) {
-        await syncSiblingInventory(variant, available, location_id);
-    } else {
-        console.warn("Webhook missing location_id, skipping sync logic.");
-    }
-
-    // --- LOGIC BLOCK B: NOTIFICATIONS (Existing) ---
-    if (!available || available <= 0) {
-      return res.status(200).json({ message: 'Synced inventory (if applicable). No notifications sent (stock <= 0).' });
-    }
-
-    const variantGid = variant.id;
-    const variantId = variantGid.split('/').pop();
-    const redisKey = `stock_notification_requests:${variantId}`;
-
-    const emails = await redis.lrange(redisKey, 0, -1);
-    if (emails.length === 0) {
-      return res.status(200).json({ message: `Synced inventory. No notifications waiting for variant ${variantId}.` });
-    }
-
-    const uniqueEmails = [...new Set(emails)];
-    const productTitle = variant.product.title;
-    const variantTitle = variant.title;
-    const productUrl = `${variant.product.onlineStoreUrl}?variant=${variantId}`;
-    const imageUrl = variant.image?.url || variant.product.featuredImage?.url;
-
-    const emailHtmlBody = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #333; }
-          .container { max-width: 600px; margin: auto; padding: 20px; border: 1px solid #eee; border-radius: 8px; }
-          .product-box { border: 1px solid #ddd; padding: 20px; text-align: center; border-radius: 5px; margin-top: 20px; }
-          .product-image { max-width: 150px; height: auto; margin-bottom: 20px; }
-          .cta-button { display: inline-block; background-color: #1a1a1a; color: #ffffff; padding: 14px 28px; text-decoration: none; font-weight: bold; border-radius: 5px; margin-top: 20px; }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <h2>Great News!</h2>
-          <p>The item you requested a notification for is now back in stock.</p>
-          <div class="product-box">
-            ${imageUrl ? `<img src="${imageUrl}" alt="${productTitle}" class="product-image">` : ''}
-            <h3>${productTitle}</h3>
-            <p><strong>Variant:</strong> ${variantTitle}</p>
-            <a href="${productUrl}" class="cta-button">View Product</a>
-          </div>
-          <p style="text-align:center; margin-top:30px; font-size: 14px; color: #777;">Stock is limited. Don't miss out!</p>
-        </div>
-      </body>
-      </html>
-    `;
-
-    await resend.emails.send({
-      from: 'LoamLabs Support <notify@loamlabsusa.com>',
-      to: uniqueEmails,
-      subject: `✅ It's Back! ${productTitle} is in stock`,
-      html: emailHtmlBody,
-      text: `Great news! The item you wanted, ${productTitle} (${variantTitle}), is back in stock. Shop now: ${productUrl}`
-    });
-
-    await redis.del(redisKey);
-    return res.status(200).json({ success: true, message: `Synced inventory and sent ${uniqueEmails.length} notifications.` });
-
+    const result = await processInventoryUpdate(body, webhookId, steps);
+    // A retry that succeeds clears the dead letter its earlier failure left.
+    await discardDeadLetter(webhookId);
+    return res.status(200).json(result);
   } catch (error) {
     console.error('Error in /api/handle-inventory-update:', error);
+    await releaseWebhookId(webhookId).catch(e => console.error('Could not release webhook id:', e));
+    await recordDeadLetter({ source: 'inventory', topic: 'inventory_levels/update', webhookId, payload: rawBody, error, completedSteps: steps.completed })
+      .catch(e => console.error('Could not store dead letter:', e));
     return res.status(500).json({ success: false, error: 'Internal Server Error' });
   }
 }
@@ -0,0 +1,63 @@
+import { readVerifiedWebhook } from '../lib/webhooks.js';
+import { fetchProductSyncVariants, reindexProduct, removeProduct } from '../lib/sync-index.js';
+import { reindexProductKits, removeProductKits } from '../lib/kits.js';
+import { createSteps, recordDeadLetter, discardDeadLetter } from '../lib/dead-letters.js';
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+// Returns the response body. The work runs as named steps, so a replay from the dead-letter queue
+// skips the ones that already succeeded (see lib/dead-letters.js). Also used for those replays.
+export async function processProductUpdate(topic, body, steps = createSteps()) {
+  const productId = `gid://shopify/Product/${body.id}`;
+
+  if (topic === 'products/delete') {
+    await steps.run('sync_index', () => removeProduct(productId));
+    await steps.run('kits', () => removeProductKits(productId));
+    console.log(`Sync Index: Removed product ${productId}.`);
+    return { success: true, message: `Removed product ${body.id} from sync index.` };
+  }
+
+  // Webhook payloads don't include metafields, so read the variants' sync keys and kit components from the Admin API.
+  const { product, variants } = await fetchProductSyncVariants(productId);
+  if (!product) {
+    await steps.run('sync_index', () => removeProduct(productId));
+    await steps.run('kits', () => removeProductKits(productId));
+    return { message: `Product ${body.id} not found. Removed from sync index.` };
+  }
+
+  const indexed = await steps.run('sync_index', () => reindexProduct(product, variants));
+  const kits = await steps.run('kits', () => reindexProductKits(product, variants));
+  console.log(`Sync Index: Reindexed ${product.title} (${topic}). ${indexed} variants with sync keys, ${kits} kits.`);
+  return { success: true, message: `Indexed ${indexed} variants and ${kits} kits.` };
+}
+
+// Keeps the sync-key and kit indexes current. Triggered by products/create, products/update and products/delete.
+export default async function handler(req, res) {
+  let rawBody;
+  try {
+    rawBody = await readVerifiedWebhook(req);
+    if (rawBody === null) {
+      return res.status(401).send('Unauthorized');
+    }
+  } catch (error) {
+    return res.status(400).send('Invalid webhook payload');
+  }
+
+  const topic = req.headers['x-shopify-topic'];
+  const webhookId = req.headers['x-shopify-webhook-id'];
+  const steps = createSteps();
+  try {
+    const result = await processProductUpdate(topic, JSON.parse(rawBody), steps);
+    await discardDeadLetter(webhookId);
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in /api/handle-product-update:', error);
+    await recordDeadLetter({ source: 'products', topic, webhookId, payload: rawBody, error, completedSteps: steps.completed })
+      .catch(e => console.error('Could not store dead letter:', e));
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
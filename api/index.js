@@ -1,34 +1,22 @@
 // Import the necessary tools (libraries)
-const shopifyApi = require('@shopify/shopify-api');
-require('@shopify/shopify-api/adapters/node');
-const { Redis } = require('@upstash/redis');
-const { Resend } = require('resend');
-const crypto = require('crypto');
+import { createHmac } from 'crypto';
+import { syncOrderHistoricalCounts } from '../lib/historical-counts.js';
+import { runLowStockChecks, resolveReportMode, queueLowStockCheck } from '../lib/low-stock.js';
+import { recordOrderConversions } from '../lib/conversions.js';
+import { isAdminRequest } from '../lib/admin-auth.js';
+import { planRun } from '../lib/dry-run.js';
+import { createSteps, recordDeadLetter, discardDeadLetter } from '../lib/dead-letters.js';
+
+// The manual test trigger runs the full low-stock scan inline.
+export const config = {
+  maxDuration: 300,
+};
 
 // --- CONFIGURATION ---
 const {
-  SHOPIFY_STORE_DOMAIN,
-  SHOPIFY_ADMIN_API_TOKEN,
   SHOPIFY_WEBHOOK_SECRET,
-  RESEND_API_KEY,
-  UPSTASH_REDIS_REST_URL,
-  UPSTASH_REDIS_REST_TOKEN,
 } = process.env;
 
-// Initialize clients
-const shopify = shopifyApi.shopifyApi({
-  apiSecretKey: 'not-used-for-admin-token',
-  adminApiAccessToken: SHOPIFY_ADMIN_API_TOKEN,
-  isCustomStoreApp: true,
-  hostName: SHOPIFY_STORE_DOMAIN.replace('https://', ''),
-  apiVersion: shopifyApi.LATEST_API_VERSION,
-});
-const resend = new Resend(RESEND_API_KEY);
-const redis = new Redis({
-  url: UPSTASH_REDIS_REST_URL,
-  token: UPSTASH_REDIS_REST_TOKEN,
-});
-
 // --- HELPER FUNCTIONS ---
 async function readRawBody(req) {
   return new Promise((resolve, reject) => {
@@ -39,194 +27,110 @@ async function readRawBody(req) {
   });
 }
 
-function getSession() {
-    return {
-        id: 'inventory-management-session',
-        shop: SHOPIFY_STORE_DOMAIN,
-        accessToken: SHOPIFY_ADMIN_API_TOKEN,
-        state: 'not-used',
-        isOnline: false,
-    };
-}
+// Each handler's work runs as named steps, so a replay from the dead-letter queue can skip
+// the ones that already succeeded (see lib/dead-letters.js).
+async function handleOrderCreate(orderPayload, steps) {
+    console.log("Handling Order Create event...");
+    await steps.run('historical_counts', () => syncOrderHistoricalCounts(orderPayload.id, 'orders/create', orderPayload));
+    await steps.run('conversions', () => recordOrderConversions(orderPayload));
 
-async function updateHistoricalCounts(lineItems, direction) {
-    const client = new shopify.clients.Graphql({ session: getSession() });
-    for (const item of lineItems) {
-        if (!item.variant_id || !item.sku) continue;
-        const variantId = `gid://shopify/ProductVariant/${item.variant_id}`;
-        
-        const response = await client.query({
-            data: {
-                query: `query($id: ID!) { productVariant(id: $id) {
-                    historicalOrderCount: metafield(namespace: "custom", key: "historical_order_count") { id value }
-                }}`,
-                variables: { id: variantId }
-            }
-        });
-        const metafield = response.body.data.productVariant.historicalOrderCount;
-        const currentCount = metafield ? parseInt(metafield.value, 10) : 0;
-        const newCount = direction === 'increment' ? currentCount + item.quantity : Math.max(0, currentCount - item.quantity);
-        
-        await client.query({
-            data: {
-                query: `mutation($metafields: [MetafieldsSetInput!]!) { metafieldsSet(metafields: $metafields) { metafields { key value } userErrors { field message } } }`,
-                variables: {
-                    metafields: [{
-                        ownerId: variantId, namespace: "custom", key: "historical_order_count",
-                        value: newCount.toString(), type: "number_integer"
-                    }]
-                }
-            }
-        });
-        console.log(`Updated historical count for SKU ${item.sku} from ${currentCount} to ${newCount}.`);
+    if (resolveReportMode() === 'digest') {
+        console.log('Low-stock reports are in digest mode. Skipping the per-order check.');
+        return;
     }
+    // Queued rather than run here: the scan can outlast Shopify's webhook timeout.
+    await steps.run('low_stock_check', () => queueLowStockCheck());
 }
 
-// --- CORE LOGIC FUNCTIONS ---
-async function handleOrderCreate(orderPayload) {
-    console.log("Handling Order Create event...");
-    await updateHistoricalCounts(orderPayload.line_items, 'increment');
-    
-    // 1. UPDATED GRAPHQL QUERY:
-    // The query now fetches 'inventory_alert_threshold' from each VARIANT, not the product.
-    const allSpokesResponse = await new shopify.clients.Graphql({ session: getSession() }).query({
-        data: {
-            query: `query { products(first: 250, query: "tag:'component:spoke'") {
-                edges { node {
-                    title
-                    inventoryMonitoringEnabled: metafield(namespace: "custom", key: "inventory_monitoring_enabled") { value }
-                    variants(first: 100) { edges { node {
-                        id title inventoryQuantity sku
-                        inventoryAlertThreshold: metafield(namespace: "custom", key: "inventory_alert_threshold") { value }
-                        historicalOrderCount: metafield(namespace: "custom", key: "historical_order_count") { value }
-                    }}}
-                }}
-            }}`
-        }
-    });
-
-    const currentLowStockItems = [];
-    const allSpokeProducts = allSpokesResponse.body.data.products.edges;
-
-    for (const { node: product } of allSpokeProducts) {
-      // Product-level monitoring check remains the same
-      const isMonitoringEnabled = product.inventoryMonitoringEnabled?.value === 'true';
-      if (!isMonitoringEnabled) continue;
-
-      for (const { node: variant } of product.variants.edges) {
-        if (variant.title.endsWith(' / -')) continue;
-
-        // 2. UPDATED THRESHOLD LOGIC:
-        // It now reads the threshold from the VARIANT's metafield.
-        // If a variant doesn't have the metafield, it defaults to 0 and will likely not be reported.
-        const thresholdString = variant.inventoryAlertThreshold?.value || '0';
-        const alertThreshold = parseInt(thresholdString, 10);
-        
-        // We add a check to only include variants that have a specific threshold set.
-        if (alertThreshold <= 0) continue;
-
-        if (variant.inventoryQuantity < alertThreshold) {
-          currentLowStockItems.push({
-            productTitle: product.title, 
-            alertThreshold: alertThreshold, // This is now the variant-specific threshold
-            variantTitle: variant.title,
-            sku: variant.sku, 
-            quantity: variant.inventoryQuantity,
-            historicalCount: parseInt(variant.historicalOrderCount?.value, 10) || 0,
-          });
-        }
-      }
-    }
-    
-    const previousReportJSON = await redis.get('last_report_list_json');
-    let previousLowStockSKUs = [];
-    try {
-        if (previousReportJSON) {
-            previousLowStockSKUs = JSON.parse(previousReportJSON);
-        }
-    } catch (e) {
-        console.warn("Could not parse previous report from Redis, it might be malformed. Starting fresh.");
-        previousLowStockSKUs = [];
-    }
-    
-    const currentLowStockSKUs = currentLowStockItems.map(item => item.sku).sort();
+async function handleOrderCancelled(orderPayload, steps) {
+    console.log("Handling Order Cancelled event...");
+    await steps.run('historical_counts', () => syncOrderHistoricalCounts(orderPayload.id, 'orders/cancelled', orderPayload));
+}
 
-    if (JSON.stringify(previousLowStockSKUs.sort()) === JSON.stringify(currentLowStockSKUs)) {
-      console.log('Low-stock list unchanged. No new report needed.');
-      return;
-    }
-    
-    if (currentLowStockItems.length > 0) {
-        // 3. UPDATED REPORTING LOGIC:
-        // The report grouping is simplified, and the specific threshold is shown for each variant.
-        let reportHtml = `<h1>Cumulative Low Stock Report</h1><p>The following spoke products have variants below their defined stock thresholds.</p>`;
-        const groupedItems = currentLowStockItems.reduce((acc, item) => {
-            const key = item.productTitle; // Group by product title only
-            if (!acc[key]) acc[key] = [];
-            acc[key].push(item);
-            return acc;
-        }, {});
-
-        for (const groupName in groupedItems) {
-            reportHtml += `<hr><h3>${groupName}</h3><ul>`;
-            for (const item of groupedItems[groupName]) {
-                reportHtml += `<li><strong>${item.variantTitle}</strong><br>SKU: ${item.sku || 'N/A'}<br>Current Quantity: ${item.quantity} (Alert Threshold: ${item.alertThreshold})<br>Historical Sales Count: ${item.historicalCount}</li>`;
-            }
-            reportHtml += `</ul>`;
-        }
-        reportHtml += `<hr><p>Please consider reordering soon.</p>`;
-        
-        await resend.emails.send({
-            from: 'LoamLabs Alerts <info@loamlabsusa.com>',
-            to: 'info@loamlabsusa.com',
-            subject: `CUMULATIVE Low Stock Report (${currentLowStockItems.length} variants)`,
-            html: reportHtml,
-        });
-        console.log(`Cumulative report sent successfully.`);
-    } else {
-        console.log('All previously low-stock items have been restocked. Clearing memory and not sending an email.');
-    }
+async function handleRefundCreate(refundPayload, steps) {
+    console.log("Handling Refund Create event...");
+    await steps.run('historical_counts', () => syncOrderHistoricalCounts(refundPayload.order_id, 'refunds/create'));
+}
 
-    await redis.set('last_report_list_json', JSON.stringify(currentLowStockSKUs));
-    console.log('Updated low-stock list in database memory.');
+async function handleOrderEdited(editPayload, steps) {
+    console.log("Handling Order Edited event...");
+    await steps.run('historical_counts', () => syncOrderHistoricalCounts(editPayload.order_edit?.order_id, 'orders/edited'));
 }
 
-async function handleOrderCancelled(orderPayload) {
-    console.log("Handling Order Cancelled event...");
-    await updateHistoricalCounts(orderPayload.line_items, 'decrement');
+// Also used to replay dead letters (see api/dead-letters.js).
+export async function routeWebhook(topic, payload, steps = createSteps()) {
+    if (topic === 'orders/create') {
+      await handleOrderCreate(payload, steps);
+    } else if (topic === 'orders/cancelled') {
+      await handleOrderCancelled(payload, steps);
+    } else if (topic === 'refunds/create') {
+      await handleRefundCreate(payload, steps);
+    } else if (topic === 'orders/edited') {
+      await handleOrderEdited(payload, steps);
+    } else {
+      console.log(`Received unhandled topic: ${topic}. Exiting.`);
+    }
 }
 
 // The main function, which now acts as a router
-module.exports = async (req, res) => {
+export default async function handler(req, res) {
   // --- MANUAL TEST TRIGGER ---
-  // This allows you to test by visiting the URL with a secret key.
-  // Example: https://your-vercel-url.vercel.app/api/index?test_mode=true&secret=YOUR_SECRET_KEY
-  try {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    if (url.searchParams.get('test_mode') === 'true') {
-      if (url.searchParams.get('secret') === process.env.MANUAL_TEST_SECRET) {
-        console.log('MANUAL TEST TRIGGERED. Running inventory check...');
-        // We pass an empty payload because the function fetches fresh data from Shopify anyway.
-        await handleOrderCreate({ line_items: [] }); 
+  // Runs every rule's low-stock scan as a dry run and returns the plan: the reports it would send
+  // and the snapshots it would save (see lib/dry-run.js). Pass `send=true` to send them for real.
+  // Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/index?test_mode=true"
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (url.searchParams.get('test_mode') === 'true') {
+    if (!isAdminRequest(req)) {
+      console.warn('Manual test trigger attempted without the admin secret.');
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    try {
+      if (url.searchParams.get('send') === 'true') {
+        console.log('MANUAL TEST TRIGGERED. Running inventory check and sending reports...');
+        // Sends each rule's full report, whatever the report mode, unless nothing is low or recovered.
+        await runLowStockChecks('manual');
         console.log('Manual test completed successfully.');
-        return res.status(200).send('Manual test triggered and completed successfully. Check logs and email for report.');
-      } else {
-        console.warn('Manual test trigger attempted with invalid secret.');
-        return res.status(401).send('Invalid secret for test mode.');
+        return res.status(200).json({ success: true, message: 'Manual test completed. Check logs and email for report.' });
       }
+      console.log('MANUAL TEST TRIGGERED. Planning inventory check...');
+      const { plan } = await planRun(() => runLowStockChecks('manual'));
+      return res.status(200).json({ success: true, dryRun: true, plan });
+    } catch (error) {
+      console.error('Error in /api/index (manual test):', error);
+      return res.status(500).json({ success: false, error: 'Internal Server Error' });
     }
-  } catch (e) {
-      // This will ignore errors if the URL is not what we expect, and proceed to webhook logic
   }
   // --- END MANUAL TEST TRIGGER ---
 
+  // --- DRY RUN ---
+  // Runs a sample payload without writing anything and returns the plan: metafield writes, Redis
+  // changes, emails and alerts (see lib/dry-run.js). The topic goes in X-Shopify-Topic and the
+  // admin secret in the Authorization header; no HMAC is needed. Historical counts are worked out
+  // from the real order with the payload's id, or from the payload itself if there's no such order.
+  // Example: curl -X POST -H "Authorization: Bearer $ADMIN_API_SECRET" -H "X-Shopify-Topic: orders/create" --data @order.json "https://your-vercel-url.vercel.app/api/index?dry_run=true"
+  if (url.searchParams.get('dry_run') === 'true') {
+    if (!isAdminRequest(req)) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    try {
+      const topic = req.headers['x-shopify-topic'];
+      const payload = JSON.parse((await readRawBody(req)) || '{}');
+      const { plan } = await planRun(() => routeWebhook(topic, payload));
+      return res.status(200).json({ success: true, dryRun: true, topic, plan });
+    } catch (error) {
+      console.error('Error in /api/index (dry run):', error);
+      return res.status(500).json({ success: false, error: 'Internal Server Error' });
+    }
+  }
+  // --- END DRY RUN ---
+
 
   console.log('Webhook received. Starting process...');
   try {
     const rawBody = await readRawBody(req);
     const hmac = req.headers['x-shopify-hmac-sha256'];
     const topic = req.headers['x-shopify-topic'];
-    const generatedHash = crypto.createHmac('sha256', SHOPIFY_WEBHOOK_SECRET).update(rawBody, 'utf-8').digest('base64');
+    const generatedHash = createHmac('sha256', SHOPIFY_WEBHOOK_SECRET).update(rawBody, 'utf-8').digest('base64');
     
     if (generatedHash !== hmac) {
       console.error('Webhook verification failed.');
@@ -235,14 +139,17 @@ module.exports = async (req, res) => {
     console.log(`Webhook verified successfully for topic: ${topic}`);
 
     const payload = JSON.parse(rawBody);
-
-    if (topic === 'orders/create') {
-      await handleOrderCreate(payload);
-    } else if (topic === 'orders/cancelled') {
-      await handleOrderCancelled(payload);
-    } else {
-      console.log(`Received unhandled topic: ${topic}. Exiting.`);
+    const webhookId = req.headers['x-shopify-webhook-id'];
+    const steps = createSteps();
+    try {
+      await routeWebhook(topic, payload, steps);
+    } catch (error) {
+      await recordDeadLetter({ source: 'orders', topic, webhookId, payload: rawBody, error, completedSteps: steps.completed })
+        .catch(e => console.error('Could not store dead letter:', e));
+      throw error;
     }
+    // A retry that succeeds clears the dead letter its earlier failure left.
+    await discardDeadLetter(webhookId);
 
     res.status(200).send('OK');
 
@@ -250,4 +157,4 @@ module.exports = async (req, res) => {
     console.error('An error occurred:', error.message, error.stack);
     res.status(500).send('An internal error occurred.');
   }
-};
+}
@@ -0,0 +1,28 @@
+import { isJobRequest } from '../lib/admin-auth.js';
+import { runQueuedLowStockCheck, resolveReportMode } from '../lib/low-stock.js';
+
+// Scanning every monitored product can take a while on a large store.
+export const config = {
+  maxDuration: 300,
+};
+
+// Scheduled low-stock check (see vercel.json). Runs the check queued by orders/create, if an order
+// has come in since the last run. Does nothing when LOW_STOCK_REPORT_MODE is "digest".
+// Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/low-stock-checks"
+export default async function handler(req, res) {
+  if (!isJobRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  if (resolveReportMode() !== 'per_order') {
+    return res.status(200).json({ success: true, message: 'Low-stock reports are in digest mode. Per-order check skipped.' });
+  }
+
+  try {
+    const ran = await runQueuedLowStockCheck();
+    return res.status(200).json({ success: true, message: ran ? 'Low-stock check completed.' : 'No orders since the last check.' });
+  } catch (error) {
+    console.error('Error in /api/low-stock-checks:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
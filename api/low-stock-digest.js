@@ -0,0 +1,28 @@
+import { isJobRequest } from '../lib/admin-auth.js';
+import { runLowStockChecks, resolveReportMode } from '../lib/low-stock.js';
+
+// Scanning every monitored product can take a while on a large store.
+export const config = {
+  maxDuration: 300,
+};
+
+// Scheduled low-stock digest (see vercel.json). Does nothing unless LOW_STOCK_REPORT_MODE is "digest",
+// so per-order reporting never gets a second daily email on top.
+// Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/low-stock-digest"
+export default async function handler(req, res) {
+  if (!isJobRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  if (resolveReportMode() !== 'digest') {
+    return res.status(200).json({ success: true, message: 'Low-stock reports are in per-order mode. Digest skipped.' });
+  }
+
+  try {
+    await runLowStockChecks('digest');
+    return res.status(200).json({ success: true, message: 'Low-stock digest completed.' });
+  } catch (error) {
+    console.error('Error in /api/low-stock-digest:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
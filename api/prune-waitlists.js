@@ -0,0 +1,21 @@
+import { isJobRequest } from '../lib/admin-auth.js';
+import { pruneAllWaitlists } from '../lib/waitlist.js';
+
+// Scheduled removal of signups older than WAITLIST_RETENTION_DAYS (see vercel.json and lib/waitlist.js).
+// Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/prune-waitlists"
+export default async function handler(req, res) {
+  if (!isJobRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    if (!process.env.WAITLIST_RETENTION_DAYS) {
+      return res.status(200).json({ success: true, message: 'WAITLIST_RETENTION_DAYS is not set. Nothing to prune.' });
+    }
+    const removed = await pruneAllWaitlists();
+    return res.status(200).json({ success: true, removed });
+  } catch (error) {
+    console.error('Error in /api/prune-waitlists:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
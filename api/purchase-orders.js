@@ -0,0 +1,53 @@
+import { isAdminRequest } from '../lib/admin-auth.js';
+import { getPurchaseOrders, purchaseOrderCsv, purchaseOrderFilename } from '../lib/purchase-orders.js';
+import { monitoringRules } from '../lib/low-stock.js';
+
+// Draft purchase orders from each monitoring rule's latest low-stock report.
+// Without parameters, lists every draft. With `rule` and `supplier`, downloads that draft as CSV.
+// Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/purchase-orders?rule=spokes&supplier=Sapim" -o po.csv
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const ruleId = url.searchParams.get('rule');
+    const supplier = url.searchParams.get('supplier');
+
+    if (ruleId || supplier) {
+      if (!ruleId || !supplier) {
+        return res.status(400).json({ success: false, error: 'Pass both rule and supplier to download a purchase order.' });
+      }
+      const drafts = await getPurchaseOrders(ruleId);
+      const order = drafts?.orders.find(o => o.supplier === supplier);
+      if (!order) {
+        return res.status(404).json({ success: false, error: `No draft purchase order for ${supplier} in rule ${ruleId}.` });
+      }
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${purchaseOrderFilename(ruleId, order, drafts.generatedAt)}"`);
+      return res.status(200).send(purchaseOrderCsv(order));
+    }
+
+    const purchaseOrders = [];
+    for (const rule of monitoringRules) {
+      const drafts = await getPurchaseOrders(rule.id);
+      for (const order of drafts?.orders || []) {
+        purchaseOrders.push({
+          rule: rule.id,
+          supplier: order.supplier,
+          generatedAt: drafts.generatedAt,
+          variants: order.lines.length,
+          totalUnits: order.totalUnits,
+        });
+      }
+    }
+    return res.status(200).json({ success: true, purchaseOrders });
+  } catch (error) {
+    console.error('Error in /api/purchase-orders:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,25 @@
+import { isAdminRequest } from '../lib/admin-auth.js';
+import { fetchCatalogVariants, rebuildSyncIndex } from '../lib/sync-index.js';
+import { rebuildKitIndex } from '../lib/kits.js';
+
+// Full-catalog rebuild of the sync-key and kit indexes. Run it once after deploying, and any time
+// the index is suspected to be out of date.
+// Example: curl -X POST -H "Authorization: Bearer $ADMIN_API_SECRET" https://your-vercel-url.vercel.app/api/rebuild-sync-index
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const variants = await fetchCatalogVariants();
+    const summary = await rebuildSyncIndex(variants);
+    const kits = await rebuildKitIndex(variants);
+    return res.status(200).json({ success: true, ...summary, kits });
+  } catch (error) {
+    console.error('Error in /api/rebuild-sync-index:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
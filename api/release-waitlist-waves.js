@@ -0,0 +1,18 @@
+import { isJobRequest } from '../lib/admin-auth.js';
+import { releaseDueWaves } from '../lib/back-in-stock.js';
+
+// Scheduled release of back-in-stock waves whose delay has passed (see vercel.json and lib/back-in-stock.js).
+// Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/release-waitlist-waves"
+export default async function handler(req, res) {
+  if (!isJobRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const results = await releaseDueWaves();
+    return res.status(200).json({ success: true, released: results });
+  } catch (error) {
+    console.error('Error in /api/release-waitlist-waves:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
@@ -1,12 +1,13 @@
-import { Redis } from '@upstash/redis';
-import { Resend } from 'resend';
+import { consumeRateLimit, clientIp } from '../lib/rate-limit.js';
+import {
+  normalizeEmail, isValidEmail, isValidVariantId, fetchWaitlistVariant,
+  addToWaitlist, isOnWaitlist, isDoubleOptInEnabled, sendConfirmationEmail, alertStockRequest,
+} from '../lib/waitlist.js';
 
-const redis = new Redis({
-  url: process.env.UPSTASH_REDIS_REST_URL,
-  token: process.env.UPSTASH_REDIS_REST_TOKEN,
-});
-
-const resend = new Resend(process.env.RESEND_API_KEY);
+// Per-hour signup limits. The email limit also caps confirmation emails sent to one address.
+const RATE_LIMIT_WINDOW_SECONDS = 60 * 60;
+const MAX_SIGNUPS_PER_IP = 10;
+const MAX_SIGNUPS_PER_EMAIL = 5;
 
 export default async function handler(req, res) {
   // Allow CORS from your Shopify store
@@ -22,35 +23,50 @@ export default async function handler(req, res) {
     return res.status(405).json({ success: false, error: 'Method Not Allowed' });
   }
 
-  const { email, variantId, productTitle, variantTitle, productUrl } = req.body;
+  // Product and variant titles are read from Shopify; the form's own copies are ignored.
+  const email = normalizeEmail(req.body?.email);
+  const variantId = String(req.body?.variantId ?? '').trim();
 
-  if (!email || !variantId || !productTitle || !variantTitle || !productUrl) {
+  if (!email || !variantId) {
     return res.status(400).json({ success: false, error: 'Missing required fields.' });
   }
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ success: false, error: 'Please enter a valid email address.' });
+  }
+  if (!isValidVariantId(variantId)) {
+    return res.status(400).json({ success: false, error: 'Invalid variant.' });
+  }
 
   try {
-    // 1. Send immediate notification to the owner
-    await resend.emails.send({
-      from: 'LoamLabs Notifier <notify@loamlabsusa.com>',
-      to: process.env.OWNER_NOTIFICATION_EMAIL,
-      subject: `📈 Stock Request: ${productTitle}`,
-      html: `
-        <p>A customer has requested to be notified about an out-of-stock item.</p>
-        <ul>
-          <li><strong>Customer Email:</strong> ${email}</li>
-          <li><strong>Product:</strong> ${productTitle}</li>
-          <li><strong>Variant:</strong> ${variantTitle}</li>
-          <li><strong>Variant ID:</strong> ${variantId}</li>
-          <li><strong>URL:</strong> <a href="${productUrl}">${productUrl}</a></li>
-        </ul>
-      `,
-    });
-
-    // 2. Store the customer's request in Redis
-    const redisKey = `stock_notification_requests:${variantId}`;
-    await redis.lpush(redisKey, email);
-
-    return res.status(200).json({ success: true, message: 'Notification request saved.' });
+    // 1. Abuse protection
+    const ipAllowed = await consumeRateLimit(`signup_ip:${clientIp(req)}`, MAX_SIGNUPS_PER_IP, RATE_LIMIT_WINDOW_SECONDS);
+    const emailAllowed = ipAllowed && await consumeRateLimit(`signup_email:${email}`, MAX_SIGNUPS_PER_EMAIL, RATE_LIMIT_WINDOW_SECONDS);
+    if (!ipAllowed || !emailAllowed) {
+      console.warn(`Signup rate limit hit (${!ipAllowed ? 'ip' : 'email'}) for variant ${variantId}.`);
+      return res.status(429).json({ success: false, error: 'Too many requests. Please try again later.' });
+    }
+
+    const variant = await fetchWaitlistVariant(variantId);
+    if (!variant) {
+      return res.status(400).json({ success: false, error: 'Invalid variant.' });
+    }
+
+    // 2. Double opt-in: the signup only joins the waitlist from the confirmation link
+    if (isDoubleOptInEnabled()) {
+      if (await isOnWaitlist(variantId, email)) {
+        return res.status(200).json({ success: true, message: 'You are already on the list for this item.' });
+      }
+      await sendConfirmationEmail(variant, email);
+      return res.status(200).json({ success: true, pendingConfirmation: true, message: 'Please check your email to confirm your request.' });
+    }
+
+    // 3. Store the request; the owner only hears about new signups
+    const added = await addToWaitlist(variantId, email);
+    if (added) {
+      await alertStockRequest(variant, email);
+    }
+
+    return res.status(200).json({ success: true, message: added ? 'Notification request saved.' : 'You are already on the list for this item.' });
   } catch (error) {
     console.error('Error in /api/request-notification:', error);
     return res.status(500).json({ success: false, error: 'Internal Server Error' });
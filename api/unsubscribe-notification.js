@@ -0,0 +1,36 @@
+import { verifyToken } from '../lib/tokens.js';
+import { removeFromWaitlist, removeFromAllWaitlists, waitlistPage as page } from '../lib/waitlist.js';
+
+// Unsubscribe links from back-in-stock emails. GET only shows a page with an Unsubscribe button,
+// since mail scanners open links; the button, and one-click unsubscribe (the List-Unsubscribe-Post
+// header), POST to the same URL. The token is always read from the query string.
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const payload = verifyToken(url.searchParams.get('token'));
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  if (!payload || payload.action !== 'unsubscribe') {
+    return res.status(400).send(page('This unsubscribe link is invalid.'));
+  }
+
+  if (req.method === 'GET') {
+    const scope = payload.variantId ? 'this back-in-stock alert' : 'all back-in-stock emails';
+    return res.status(200).send(page(`Unsubscribe ${payload.email} from ${scope}?`, 'Unsubscribe'));
+  }
+
+  try {
+    if (payload.variantId) {
+      await removeFromWaitlist(payload.variantId, [payload.email]);
+    } else {
+      await removeFromAllWaitlists(payload.email);
+    }
+    console.log(`Waitlist: Unsubscribed an address from ${payload.variantId ? `variant ${payload.variantId}` : 'all waitlists'}.`);
+    return res.status(200).send(page("You've been unsubscribed from back-in-stock emails."));
+  } catch (error) {
+    console.error('Error in /api/unsubscribe-notification:', error);
+    return res.status(500).send(page('Something went wrong. Please try again later.'));
+  }
+}
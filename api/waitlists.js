@@ -0,0 +1,115 @@
+import { isAdminRequest } from '../lib/admin-auth.js';
+import { toCsv } from '../lib/csv.js';
+import {
+  normalizeEmail, isValidVariantId, getWaitlist, isOnWaitlist, removeFromWaitlist,
+  listWaitlistVariantIds, fetchWaitlistCounts, fetchVariantSummaries,
+} from '../lib/waitlist.js';
+import { fetchBackInStockVariant, releaseNotificationWave, sendNotifications } from '../lib/back-in-stock.js';
+
+// Back-in-stock waitlist management. Variant ids are legacy (numeric) ids.
+//   GET                                        every waitlist with its count and product info
+//   GET    ?variantId=123                      the addresses waiting on one variant, oldest first
+//   GET    ?format=csv                         every address on every waitlist, as CSV
+//   DELETE ?variantId=123&email=a@b.com        remove an address
+//   POST   ?variantId=123&action=notify        send the next wave now, ignoring the wave delay
+//   POST   ?variantId=123&action=resend&email= send (or resend) the back-in-stock email to one address
+// Example: curl -H "Authorization: Bearer $ADMIN_API_SECRET" "https://your-vercel-url.vercel.app/api/waitlists?variantId=123"
+
+const CSV_COLUMNS = [
+  ['Variant ID', 'variantId'],
+  ['Product', 'productTitle'],
+  ['Variant', 'variantTitle'],
+  ['SKU', 'sku'],
+  ['Email', 'email'],
+  ['Signed Up At', 'signedUpAt'],
+];
+
+async function listWaitlists() {
+  const variantIds = await listWaitlistVariantIds();
+  const [counts, summaries] = await Promise.all([fetchWaitlistCounts(variantIds), fetchVariantSummaries(variantIds)]);
+  return variantIds
+    .map(variantId => ({ variantId, ...summaries.get(variantId), count: counts.get(variantId) || 0 }))
+    .filter(waitlist => waitlist.count > 0)
+    .sort((a, b) => b.count - a.count);
+}
+
+async function exportCsv() {
+  const variantIds = await listWaitlistVariantIds();
+  const summaries = await fetchVariantSummaries(variantIds);
+  const rows = [];
+  for (const variantId of variantIds) {
+    for (const entry of await getWaitlist(variantId)) {
+      rows.push({ variantId, ...summaries.get(variantId), email: entry.email, signedUpAt: new Date(entry.signedUpAt).toISOString() });
+    }
+  }
+  return toCsv(CSV_COLUMNS, rows);
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'DELETE', 'POST'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method Not Allowed' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const variantId = url.searchParams.get('variantId');
+    const email = normalizeEmail(url.searchParams.get('email'));
+    if (variantId !== null && !isValidVariantId(variantId)) {
+      return res.status(400).json({ success: false, error: 'Invalid variantId.' });
+    }
+
+    if (req.method === 'GET') {
+      if (url.searchParams.get('format') === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="waitlists-${new Date().toISOString().slice(0, 10)}.csv"`);
+        return res.status(200).send(await exportCsv());
+      }
+      if (!variantId) {
+        return res.status(200).json({ success: true, waitlists: await listWaitlists() });
+      }
+      const summaries = await fetchVariantSummaries([variantId]);
+      const entries = (await getWaitlist(variantId)).map(entry => ({ email: entry.email, signedUpAt: new Date(entry.signedUpAt).toISOString() }));
+      return res.status(200).json({ success: true, variantId, ...summaries.get(variantId), count: entries.length, entries });
+    }
+
+    if (!variantId) {
+      return res.status(400).json({ success: false, error: 'variantId is required.' });
+    }
+
+    if (req.method === 'DELETE') {
+      if (!email) {
+        return res.status(400).json({ success: false, error: 'email is required.' });
+      }
+      if (!(await isOnWaitlist(variantId, email))) {
+        return res.status(404).json({ success: false, error: `${email} is not on the waitlist for variant ${variantId}.` });
+      }
+      await removeFromWaitlist(variantId, [email]);
+      return res.status(200).json({ success: true, message: `Removed ${email} from the waitlist for variant ${variantId}.` });
+    }
+
+    // POST
+    const action = url.searchParams.get('action');
+    const variant = await fetchBackInStockVariant(variantId);
+    if (!variant) {
+      return res.status(404).json({ success: false, error: `Variant ${variantId} not found.` });
+    }
+    if (action === 'notify') {
+      const wave = await releaseNotificationWave(variant, { force: true });
+      return res.status(200).json({ success: true, ...wave });
+    }
+    if (action === 'resend') {
+      if (!email) {
+        return res.status(400).json({ success: false, error: 'email is required.' });
+      }
+      await sendNotifications(variant, [email], { source: 'admin_resend' });
+      return res.status(200).json({ success: true, message: `Sent the back-in-stock email for variant ${variantId} to ${email}.` });
+    }
+    return res.status(400).json({ success: false, error: 'action must be "notify" or "resend".' });
+  } catch (error) {
+    console.error('Error in /api/waitlists:', error);
+    return res.status(500).json({ success: false, error: 'Internal Server Error' });
+  }
+}
@@ -0,0 +1,48 @@
+// Where each alert type is delivered. See "Alert Channels" in the README for the channel types.
+// A channel with no `url` (or an email channel with no recipients) is skipped, so optional
+// channels can be switched on with an environment variable.
+import emailConfig from './email.js';
+
+const {
+  OWNER_NOTIFICATION_EMAIL,
+  SLACK_ALERT_WEBHOOK_URL,
+  ALERT_WEBHOOK_URL,
+} = process.env;
+
+export default {
+  alerts: {
+    // Cumulative low-stock reports and digests. The email channel goes to each monitoring rule's recipients.
+    low_stock_report: {
+      from: emailConfig.senders.alerts,
+      channels: [
+        { type: 'email' },
+        { type: 'slack', url: SLACK_ALERT_WEBHOOK_URL },
+        { type: 'webhook', url: ALERT_WEBHOOK_URL },
+      ],
+    },
+    // Sync-group drift audit findings.
+    sync_drift: {
+      from: emailConfig.senders.alerts,
+      channels: [
+        { type: 'email', to: [OWNER_NOTIFICATION_EMAIL] },
+        { type: 'slack', url: SLACK_ALERT_WEBHOOK_URL },
+        { type: 'webhook', url: ALERT_WEBHOOK_URL },
+      ],
+    },
+    // A customer asked to be notified about an out-of-stock variant.
+    stock_request: {
+      from: emailConfig.senders.notifier,
+      channels: [
+        { type: 'email', to: [OWNER_NOTIFICATION_EMAIL] },
+        { type: 'webhook', url: ALERT_WEBHOOK_URL },
+      ],
+    },
+    // A customers/data_request compliance webhook. Email only, since it contains the customer's data.
+    customer_data_request: {
+      from: emailConfig.senders.notifier,
+      channels: [
+        { type: 'email', to: [OWNER_NOTIFICATION_EMAIL] },
+      ],
+    },
+  },
+};
@@ -0,0 +1,22 @@
+// Branding, senders and footers shared by every email and page (see lib/templates.js).
+export default {
+  brand: {
+    name: 'LoamLabs',
+    url: 'https://loamlabsusa.com',
+    // Shown above customer emails when set.
+    logoUrl: null,
+    buttonColor: '#1a1a1a',
+  },
+  senders: {
+    // Back-in-stock and confirmation emails to customers.
+    customer: 'LoamLabs Support <notify@loamlabsusa.com>',
+    // Reports (low stock, sync drift).
+    alerts: 'LoamLabs Alerts <info@loamlabsusa.com>',
+    // One-off notices to the owner (stock requests, privacy requests).
+    notifier: 'LoamLabs Notifier <notify@loamlabsusa.com>',
+  },
+  footer: {
+    customer: "You're receiving this email because you asked LoamLabs to let you know about an item.",
+    alerts: 'Sent by the LoamLabs inventory app.',
+  },
+};
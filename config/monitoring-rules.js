@@ -0,0 +1,41 @@
+// Low-stock monitoring rules. See "Monitoring Rules" in the README for what each field does.
+export default {
+  rules: [
+    {
+      id: 'spokes',
+      name: 'Spokes',
+      match: { tag: 'component:spoke' },
+      monitoringEnabledByDefault: false,
+      defaultThreshold: 0,
+      exclude: { variantTitle: [' / -$'] },
+      recipients: ['info@loamlabsusa.com'],
+    },
+    {
+      id: 'hubs',
+      name: 'Hubs',
+      match: { tag: 'component:hub' },
+      monitoringEnabledByDefault: false,
+      defaultThreshold: 0,
+      exclude: {},
+      recipients: ['info@loamlabsusa.com'],
+    },
+    {
+      id: 'rims',
+      name: 'Rims',
+      match: { tag: 'component:rim' },
+      monitoringEnabledByDefault: false,
+      defaultThreshold: 0,
+      exclude: {},
+      recipients: ['info@loamlabsusa.com'],
+    },
+    {
+      id: 'nipples',
+      name: 'Nipples',
+      match: { tag: 'component:nipple' },
+      monitoringEnabledByDefault: false,
+      defaultThreshold: 0,
+      exclude: {},
+      recipients: ['info@loamlabsusa.com'],
+    },
+  ],
+};
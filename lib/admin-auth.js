@@ -0,0 +1,21 @@
+import { timingSafeEqual } from 'crypto';
+
+function bearerMatches(req, secret) {
+  const header = req.headers['authorization'] || '';
+  if (!secret || !header.startsWith('Bearer ')) return false;
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(header.slice('Bearer '.length));
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+// Admin endpoints expect `Authorization: Bearer <ADMIN_API_SECRET>`.
+// If the secret isn't configured, every request is refused.
+export function isAdminRequest(req) {
+  return bearerMatches(req, process.env.ADMIN_API_SECRET);
+}
+
+// Scheduled jobs also accept Vercel Cron's `Authorization: Bearer <CRON_SECRET>`.
+export function isJobRequest(req) {
+  return isAdminRequest(req) || bearerMatches(req, process.env.CRON_SECRET);
+}
@@ -0,0 +1,150 @@
+// Audit trail of the changes the app makes on its own, so a stock number that looks wrong can be
+// traced back to (or ruled out as) the monitor.
+//
+// One event is recorded for every inventory adjustment (sibling sync, kit recalculation, drift
+// repair), historical count change, low-stock report and back-in-stock send:
+//   { id, type, at, trigger, variantId, sku, syncKey, locationId, before, after, notified, items }
+// `trigger` says what caused it (e.g. { source: 'sync', triggerVariantId } or
+// { source: 'orders/create', orderId }). Reports cover several variants, listed in `items` with
+// their own before/after quantities. `notified` lists the alert channels or email addresses reached.
+//
+// Keys:
+//   audit_event:{id}                 JSON  the event (expires with the retention period)
+//   audit_events                     zset  id -> time, every event
+//   audit_events_by:{field}:{value}  zset  id -> time, for field variant, sku, sync_key, type or email
+// AUDIT_LOG_RETENTION_DAYS sets the retention period (default 90). Index entries older than that
+// are trimmed as new events are added, and an index nothing has been added to expires with it.
+//
+// Recording never throws: the change it describes has already been made, and a failing audit
+// write shouldn't fail (and retry) the webhook that made it.
+
+import { randomUUID } from 'crypto';
+import { redis } from './redis.js';
+import { legacyId } from './shopify.js';
+
+export const AUDIT_EVENT_TYPES = ['inventory_adjustment', 'historical_count', 'low_stock_report', 'back_in_stock_send'];
+
+const ALL_KEY = 'audit_events';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REDACTED = '[redacted]';
+
+const eventKey = (id) => `audit_event:${id}`;
+const indexKey = (field, value) => `audit_events_by:${field}:${value}`;
+
+function retentionMs() {
+  const days = Number(process.env.AUDIT_LOG_RETENTION_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 90) * DAY_MS;
+}
+
+// Index keys for everything the event can be looked up by, including each report item.
+function indexKeysFor(event) {
+  const keys = new Set([indexKey('type', event.type)]);
+  for (const subject of [event, ...(event.items || [])]) {
+    if (subject.variantId) keys.add(indexKey('variant', subject.variantId));
+    if (subject.sku) keys.add(indexKey('sku', subject.sku));
+    if (subject.syncKey) keys.add(indexKey('sync_key', subject.syncKey));
+  }
+  if (event.type === 'back_in_stock_send') {
+    for (const email of event.notified || []) keys.add(indexKey('email', email));
+  }
+  return [...keys];
+}
+
+// --- RECORDING ---
+
+const normalizeSubject = ({ variantId, sku, syncKey, ...rest }) => ({
+  variantId: variantId ? legacyId(variantId) : null,
+  sku: sku || null,
+  syncKey: syncKey || null,
+  ...rest,
+});
+
+// Returns the event's id, or null if it couldn't be stored.
+export async function recordAuditEvent({ type, trigger, items, notified, ...subject }) {
+  try {
+    const now = Date.now();
+    const event = {
+      id: randomUUID(),
+      type,
+      at: new Date(now).toISOString(),
+      trigger: trigger || null,
+      ...normalizeSubject(subject),
+      notified: notified || [],
+    };
+    if (items) event.items = items.map(normalizeSubject);
+
+    const retentionSeconds = Math.ceil(retentionMs() / 1000);
+    const cutoff = now - retentionMs();
+    const tx = redis.multi();
+    tx.set(eventKey(event.id), event, { ex: retentionSeconds });
+    for (const key of [ALL_KEY, ...indexKeysFor(event)]) {
+      tx.zadd(key, { score: now, member: event.id });
+      tx.zremrangebyscore(key, '-inf', cutoff);
+      tx.expire(key, retentionSeconds);
+    }
+    await tx.exec();
+    return event.id;
+  } catch (error) {
+    console.error(`Audit Log: Could not record a ${type} event:`, error.message);
+    return null;
+  }
+}
+
+// --- QUERIES ---
+
+// Ids in one index between two times, newest first.
+async function idsBetween(key, since, until, count) {
+  const opts = count ? { byScore: true, rev: true, offset: 0, count } : { byScore: true, rev: true };
+  return (await redis.zrange(key, until, since, opts)).map(String);
+}
+
+// Filters are combined: every one given must match. `since` and `until` are timestamps (ms).
+// Returns up to `limit` events, newest first.
+export async function queryAuditEvents({ sku, variantId, syncKey, type, since, until, limit = 100 } = {}) {
+  const from = Math.max(since ?? 0, Date.now() - retentionMs());
+  const to = until ?? Date.now();
+  const filters = [
+    variantId && indexKey('variant', legacyId(variantId)),
+    sku && indexKey('sku', sku),
+    syncKey && indexKey('sync_key', syncKey),
+    type && indexKey('type', type),
+  ].filter(Boolean);
+
+  let ids;
+  if (filters.length === 0) {
+    ids = await idsBetween(ALL_KEY, from, to, limit);
+  } else {
+    ids = await idsBetween(filters[0], from, to);
+    for (const key of filters.slice(1)) {
+      if (ids.length === 0) break;
+      const matching = new Set(await idsBetween(key, from, to));
+      ids = ids.filter(id => matching.has(id));
+    }
+    ids = ids.slice(0, limit);
+  }
+
+  if (ids.length === 0) return [];
+  const events = await redis.mget(...ids.map(eventKey));
+  return events.filter(Boolean);
+}
+
+// --- PRIVACY (see lib/privacy.js) ---
+
+// Back-in-stock sends that reached the address.
+export async function findAuditedSends(email) {
+  const ids = await idsBetween(indexKey('email', email), Date.now() - retentionMs(), Date.now());
+  if (ids.length === 0) return [];
+  return (await redis.mget(...ids.map(eventKey))).filter(Boolean);
+}
+
+// Replaces the address with "[redacted]" in every send event that lists it.
+export async function redactAuditedEmail(email) {
+  const events = await findAuditedSends(email);
+  for (const event of events) {
+    const ttl = await redis.ttl(eventKey(event.id));
+    const redacted = { ...event, notified: event.notified.map(address => (address === email ? REDACTED : address)) };
+    await redis.set(eventKey(event.id), redacted, ttl > 0 ? { ex: ttl } : undefined);
+  }
+  await redis.del(indexKey('email', email));
+  return events.length;
+}
@@ -0,0 +1,171 @@
+// Back-in-stock notifications, sent to a variant's waitlist in first-come-first-served waves.
+//
+// A restock notifies the oldest signups first, WAITLIST_WAVE_MULTIPLIER per unit in stock
+// (default 2), and leaves everyone else queued. Once WAITLIST_WAVE_DELAY_MINUTES have passed
+// (default 60), the next wave goes out if the variant is still in stock: either from the next
+// inventory webhook, or from the scheduled /api/release-waitlist-waves job.
+//
+// Keys:
+//   waitlist_wave_last:{variantId}  string  time of the last wave (expires after the delay)
+//   waitlist_wave_schedule          zset    variantId -> when its next wave is due
+
+import { Resend } from 'resend';
+import { redis } from './redis.js';
+import { shopifyGraphqlClient, legacyId } from './shopify.js';
+import { withLock } from './lock.js';
+import { getWaitlist, removeFromWaitlist, unsubscribeUrl } from './waitlist.js';
+import { recordNotificationSends } from './conversions.js';
+import { recordAuditEvent } from './audit-log.js';
+import { renderTemplate } from './email-templates.js';
+import { senders } from './templates.js';
+import { isDryRun, recordPlan } from './dry-run.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+// Resend accepts up to 100 emails per batch request.
+const EMAIL_BATCH_SIZE = 100;
+
+const lastWaveKey = (variantId) => `waitlist_wave_last:${variantId}`;
+const SCHEDULE_KEY = 'waitlist_wave_schedule';
+
+// --- CONFIGURATION ---
+
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+const waveMultiplier = () => positiveNumber(process.env.WAITLIST_WAVE_MULTIPLIER, 2);
+const waveDelayMs = () => positiveNumber(process.env.WAITLIST_WAVE_DELAY_MINUTES, 60) * 60 * 1000;
+
+export function waveSize(availableQuantity) {
+  return Math.max(1, Math.ceil(availableQuantity * waveMultiplier()));
+}
+
+// --- EMAIL ---
+
+// `variant` has the shape returned by fetchBackInStockVariant() (and the inventory webhook's lookup).
+function buildEmail(variant, email) {
+  const variantId = legacyId(variant.id);
+  // Each address gets its own email, with a link to stop all back-in-stock emails.
+  const unsubscribeLink = unsubscribeUrl(email);
+  const { subject, html, text } = renderTemplate('back_in_stock', {
+    productTitle: variant.product.title,
+    variantTitle: variant.title,
+    productUrl: `${variant.product.onlineStoreUrl}?variant=${variantId}`,
+    imageUrl: variant.image?.url || variant.product.featuredImage?.url,
+    unsubscribeUrl: unsubscribeLink,
+  });
+  return {
+    from: senders.customer,
+    to: email,
+    subject,
+    html,
+    text,
+    headers: unsubscribeLink ? { 'List-Unsubscribe': `<${unsubscribeLink}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' } : undefined,
+  };
+}
+
+// Addresses are removed batch by batch as they're sent, so a failure part-way through
+// doesn't email the earlier batches again on retry. Also used by the admin API to resend one.
+// Each batch is recorded in the audit log with `trigger`, which says what released it.
+export async function sendNotifications(variant, emails, trigger = null) {
+  const variantId = legacyId(variant.id);
+  for (let i = 0; i < emails.length; i += EMAIL_BATCH_SIZE) {
+    const batch = emails.slice(i, i + EMAIL_BATCH_SIZE);
+    const messages = batch.map(email => buildEmail(variant, email));
+    if (isDryRun()) {
+      for (const message of messages) recordPlan('emails', { template: 'back_in_stock', from: message.from, to: message.to, subject: message.subject });
+    } else {
+      const { error } = await resend.batch.send(messages);
+      if (error) throw new Error(`Resend: ${error.message}`);
+    }
+    await removeFromWaitlist(variantId, batch);
+    await recordNotificationSends(variant, batch);
+    await recordAuditEvent({ type: 'back_in_stock_send', trigger, variantId, sku: variant.sku, notified: batch });
+  }
+}
+
+// --- WAVES ---
+
+export async function fetchBackInStockVariant(variantId) {
+  const query = `
+    query getBackInStockVariant($id: ID!) {
+      productVariant(id: $id) {
+        id
+        title
+        sku
+        inventoryQuantity
+        image {
+          url(transform: {maxWidth: 200, maxHeight: 200, crop: CENTER})
+        }
+        product {
+          id
+          title
+          handle
+          onlineStoreUrl
+          featuredImage {
+             url(transform: {maxWidth: 200, maxHeight: 200, crop: CENTER})
+          }
+        }
+      }
+    }
+  `;
+  const result = await shopifyGraphqlClient(query, { id: `gid://shopify/ProductVariant/${variantId}` });
+  return result.data?.productVariant || null;
+}
+
+// Notifies the next wave of a variant's waitlist, sized to its total available quantity.
+// Returns { sent, remaining, reason } where reason explains why nothing was sent.
+// `force` skips the delay since the last wave (for manual triggers from the admin API).
+export async function releaseNotificationWave(variant, { force = false } = {}) {
+  const variantId = legacyId(variant.id);
+  return withLock(`waitlist_wave:${variantId}`, async () => {
+    const waitlist = await getWaitlist(variantId);
+    if (waitlist.length === 0) {
+      await redis.zrem(SCHEDULE_KEY, variantId);
+      return { sent: 0, remaining: 0, reason: 'No notifications waiting' };
+    }
+    if (variant.inventoryQuantity <= 0) {
+      // The next restock webhook starts a new wave.
+      await redis.zrem(SCHEDULE_KEY, variantId);
+      return { sent: 0, remaining: waitlist.length, reason: 'Out of stock' };
+    }
+
+    const lastWaveAt = await redis.get(lastWaveKey(variantId));
+    if (lastWaveAt && !force) {
+      await redis.zadd(SCHEDULE_KEY, { score: Number(lastWaveAt) + waveDelayMs(), member: variantId });
+      return { sent: 0, remaining: waitlist.length, reason: 'Previous wave is too recent' };
+    }
+
+    const wave = waitlist.slice(0, waveSize(variant.inventoryQuantity)).map(entry => entry.email);
+    await sendNotifications(variant, wave, { source: 'wave', stock: variant.inventoryQuantity, waitlistLength: waitlist.length, forced: force });
+
+    const now = Date.now();
+    const remaining = waitlist.length - wave.length;
+    await redis.set(lastWaveKey(variantId), now, { px: waveDelayMs() });
+    if (remaining > 0) {
+      await redis.zadd(SCHEDULE_KEY, { score: now + waveDelayMs(), member: variantId });
+    } else {
+      await redis.zrem(SCHEDULE_KEY, variantId);
+    }
+    console.log(`Back-in-Stock: Sent a wave of ${wave.length} for variant ${variantId} (stock ${variant.inventoryQuantity}). ${remaining} still queued.`);
+    return { sent: wave.length, remaining, reason: null };
+  });
+}
+
+// Releases every wave that has come due. Used by the scheduled job.
+export async function releaseDueWaves() {
+  const due = (await redis.zrange(SCHEDULE_KEY, '-inf', Date.now(), { byScore: true })).map(String);
+  const results = [];
+  for (const variantId of due) {
+    const variant = await fetchBackInStockVariant(variantId);
+    if (!variant) {
+      await redis.zrem(SCHEDULE_KEY, variantId);
+      results.push({ variantId, sent: 0, reason: 'Variant not found' });
+      continue;
+    }
+    results.push({ variantId, ...await releaseNotificationWave(variant) });
+  }
+  return results;
+}
@@ -0,0 +1,138 @@
+// Back-in-stock conversion tracking.
+//
+// Every back-in-stock email sent is recorded against the address, and an orders/create for the
+// same address and variant within the attribution window counts as a conversion.
+// BACK_IN_STOCK_ATTRIBUTION_DAYS sets the window (default 7).
+//
+// Keys:
+//   back_in_stock_sends:{email}        zset  variantId -> when the email was sent (expires with the window)
+//   back_in_stock_stats:{variantId}    hash  sent, converted, unitsSold, productId, productTitle, variantTitle
+
+import { redis } from './redis.js';
+import { legacyId } from './shopify.js';
+import { normalizeEmail } from './waitlist.js';
+
+const sendsKey = (email) => `back_in_stock_sends:${email}`;
+const statsKey = (variantId) => `back_in_stock_stats:${variantId}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function attributionWindowMs() {
+  const days = Number(process.env.BACK_IN_STOCK_ATTRIBUTION_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 7) * DAY_MS;
+}
+
+// --- RECORDING ---
+
+// `variant` is the back-in-stock variant (see lib/back-in-stock.js), with its product's id and title.
+export async function recordNotificationSends(variant, emails) {
+  if (emails.length === 0) return;
+  const variantId = legacyId(variant.id);
+  const now = Date.now();
+  const windowSeconds = Math.ceil(attributionWindowMs() / 1000);
+
+  const tx = redis.multi();
+  for (const email of emails) {
+    tx.zadd(sendsKey(email), { score: now, member: variantId });
+    tx.expire(sendsKey(email), windowSeconds);
+  }
+  tx.hincrby(statsKey(variantId), 'sent', emails.length);
+  tx.hset(statsKey(variantId), {
+    productId: legacyId(variant.product.id),
+    productTitle: variant.product.title,
+    variantTitle: variant.title,
+  });
+  await tx.exec();
+}
+
+// Matches an orders/create payload against recent sends. Returns the number of conversions.
+export async function recordOrderConversions(order) {
+  const email = normalizeEmail(order.email || order.contact_email || order.customer?.email);
+  if (!email) return 0;
+
+  const orderedAt = order.created_at ? new Date(order.created_at).getTime() : Date.now();
+  let conversions = 0;
+  for (const lineItem of order.line_items || []) {
+    if (!lineItem.variant_id) continue;
+    const variantId = String(lineItem.variant_id);
+    const sentAt = await redis.zscore(sendsKey(email), variantId);
+    if (sentAt === null || orderedAt < Number(sentAt) || orderedAt - Number(sentAt) > attributionWindowMs()) continue;
+
+    // Removing the send claims it, so a retried orders/create webhook can't count it twice.
+    if (await redis.zrem(sendsKey(email), variantId) !== 1) continue;
+    const tx = redis.multi();
+    tx.hincrby(statsKey(variantId), 'converted', 1);
+    tx.hincrby(statsKey(variantId), 'unitsSold', lineItem.quantity || 0);
+    await tx.exec();
+    conversions++;
+  }
+  if (conversions > 0) {
+    console.log(`Back-in-Stock: Order ${order.id} converted ${conversions} back-in-stock notification(s).`);
+  }
+  return conversions;
+}
+
+// --- PRIVACY ---
+
+// Back-in-stock emails sent to the address within the attribution window, as [{ variantId, sentAt }].
+export async function getNotificationSends(email) {
+  const flat = await redis.zrange(sendsKey(email), 0, -1, { withScores: true });
+  const sends = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    sends.push({ variantId: String(flat[i]), sentAt: Number(flat[i + 1]) });
+  }
+  return sends;
+}
+
+export async function deleteNotificationSends(email) {
+  await redis.del(sendsKey(email));
+}
+
+// --- REPORTING ---
+
+const rate = (converted, sent) => (sent > 0 ? Math.round((converted / sent) * 1000) / 10 : 0);
+
+// Conversion stats per product (with a per-variant breakdown), highest send count first.
+// Pass legacy product ids to only include those products.
+export async function fetchConversionStats(productIds = null) {
+  const keys = [];
+  let cursor = 0;
+  do {
+    const [nextCursor, batch] = await redis.scan(cursor, { match: statsKey('*'), count: 500 });
+    keys.push(...batch);
+    cursor = Number(nextCursor);
+  } while (cursor !== 0);
+  if (keys.length === 0) return [];
+
+  const pipeline = redis.pipeline();
+  for (const key of keys) pipeline.hgetall(key);
+  const results = await pipeline.exec();
+
+  const filter = productIds && new Set(productIds.map(String));
+  const products = new Map();
+  keys.forEach((key, i) => {
+    const stats = results[i];
+    if (!stats || (filter && !filter.has(String(stats.productId)))) return;
+    const productId = String(stats.productId);
+    if (!products.has(productId)) {
+      products.set(productId, { productId, productTitle: stats.productTitle, sent: 0, converted: 0, unitsSold: 0, variants: [] });
+    }
+    const product = products.get(productId);
+    const variant = {
+      variantId: key.slice(statsKey('').length),
+      variantTitle: stats.variantTitle,
+      sent: Number(stats.sent) || 0,
+      converted: Number(stats.converted) || 0,
+      unitsSold: Number(stats.unitsSold) || 0,
+    };
+    variant.conversionRate = rate(variant.converted, variant.sent);
+    product.variants.push(variant);
+    product.sent += variant.sent;
+    product.converted += variant.converted;
+    product.unitsSold += variant.unitsSold;
+  });
+
+  return [...products.values()]
+    .map(product => ({ ...product, conversionRate: rate(product.converted, product.sent) }))
+    .sort((a, b) => b.sent - a.sent);
+}
@@ -0,0 +1,19 @@
+// Minimal CSV writer (RFC 4180): fields with commas, quotes or line breaks are quoted.
+// Text starting with =, +, -, @, a tab or a carriage return gets a leading ' so spreadsheet apps
+// show it instead of running it as a formula; emails and titles come from customers and Shopify.
+// Numbers are written as they are, so negative quantities stay numeric.
+
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// `columns` is a list of [header, field] pairs picked from each row object.
+export function toCsv(columns, rows) {
+  const lines = [columns.map(([header]) => header)];
+  for (const row of rows) {
+    lines.push(columns.map(([, field]) => row[field]));
+  }
+  return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
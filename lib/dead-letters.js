@@ -0,0 +1,144 @@
+// Dead-letter queue for webhook deliveries that failed part-way through.
+//
+// Handlers run their work as named steps (createSteps). When one throws, the raw payload, topic,
+// error and the steps that had already completed (with their results) are kept here, and
+// /api/dead-letters can replay the event: completed steps are skipped and their stored results
+// reused, so only the work that failed is done again.
+//
+// Keys:
+//   dead_letter:{id}   JSON   { id, source, topic, webhookId, payload, error, completedSteps, attempts, firstFailedAt, lastFailedAt }
+//   dead_letters       zset   id -> last failure time
+//
+// The id is the delivery's X-Shopify-Webhook-Id when there is one, so Shopify's own retries of the
+// same delivery update one entry, and a retry that succeeds clears it.
+//
+// Order payloads carry the customer's details, so the privacy webhooks (lib/privacy.js) report
+// and delete the dead letters that mention a customer.
+
+import { randomUUID } from 'crypto';
+import { redis } from './redis.js';
+
+const DEAD_LETTER_TTL_SECONDS = 60 * 60 * 24 * 30;
+const INDEX_KEY = 'dead_letters';
+
+const deadLetterKey = (id) => `dead_letter:${id}`;
+
+// --- STEPS ---
+
+// `completed` maps step name -> result, as stored in a dead letter.
+export function createSteps(completed = {}) {
+  const steps = {
+    completed: { ...completed },
+    skipped: [],
+    async run(name, fn) {
+      if (name in steps.completed) {
+        console.log(`Dead Letters: Skipping step "${name}", which already completed.`);
+        steps.skipped.push(name);
+        return steps.completed[name];
+      }
+      const result = await fn();
+      steps.completed[name] = result === undefined ? null : result;
+      return result;
+    },
+    // For a replayer whose step must run again against current data.
+    rerun(...names) {
+      for (const name of names) delete steps.completed[name];
+    },
+  };
+  return steps;
+}
+
+// --- STORAGE ---
+
+// `payload` is the raw request body. Returns the dead letter's id.
+export async function recordDeadLetter({ id, source, topic, webhookId, payload, error, completedSteps }) {
+  const letterId = id || webhookId || randomUUID();
+  const existing = await redis.get(deadLetterKey(letterId));
+  const now = new Date().toISOString();
+  const letter = {
+    id: letterId,
+    source,
+    topic,
+    webhookId: webhookId || null,
+    payload,
+    error: error.message,
+    completedSteps,
+    attempts: (existing?.attempts || 0) + 1,
+    firstFailedAt: existing?.firstFailedAt || now,
+    lastFailedAt: now,
+  };
+
+  const tx = redis.multi();
+  tx.set(deadLetterKey(letterId), letter, { ex: DEAD_LETTER_TTL_SECONDS });
+  tx.zadd(INDEX_KEY, { score: Date.now(), member: letterId });
+  await tx.exec();
+  console.error(`Dead Letters: Stored ${source} ${topic} event ${letterId} (attempt ${letter.attempts}, completed: ${Object.keys(completedSteps).join(', ') || 'none'}).`);
+  return letterId;
+}
+
+export async function getDeadLetter(id) {
+  return (await redis.get(deadLetterKey(id))) || null;
+}
+
+// Summaries without payloads, most recent failure first. Expired entries are dropped from the index.
+export async function listDeadLetters() {
+  const ids = (await redis.zrange(INDEX_KEY, 0, -1, { rev: true })).map(String);
+  if (ids.length === 0) return [];
+  const letters = await redis.mget(...ids.map(deadLetterKey));
+  const expired = ids.filter((id, i) => !letters[i]);
+  if (expired.length > 0) await redis.zrem(INDEX_KEY, ...expired);
+  return letters.filter(Boolean).map(({ payload, ...summary }) => ({ ...summary, completedSteps: Object.keys(summary.completedSteps) }));
+}
+
+// Returns true if there was a dead letter to remove.
+export async function discardDeadLetter(id) {
+  if (!id) return false;
+  const tx = redis.multi();
+  tx.del(deadLetterKey(id));
+  tx.zrem(INDEX_KEY, id);
+  const [deleted] = await tx.exec();
+  return deleted === 1;
+}
+
+// --- PRIVACY ---
+
+// Dead letters whose payload contains the address or belongs to the customer id, as summaries.
+export async function findCustomerDeadLetters(email, customerId) {
+  const ids = (await redis.zrange(INDEX_KEY, 0, -1)).map(String);
+  if (ids.length === 0) return [];
+  const letters = (await redis.mget(...ids.map(deadLetterKey))).filter(Boolean);
+  return letters
+    .filter(letter => {
+      const payload = String(letter.payload);
+      if (email && payload.toLowerCase().includes(email)) return true;
+      if (!customerId) return false;
+      try {
+        return String(JSON.parse(payload).customer?.id) === String(customerId);
+      } catch {
+        return false;
+      }
+    })
+    .map(({ id, source, topic, firstFailedAt }) => ({ id, source, topic, firstFailedAt }));
+}
+
+// --- REPLAY ---
+
+// `replayers` maps a dead letter's source to fn(letter, steps). A successful replay removes the
+// dead letter; a failed one updates it with the steps completed so far and re-throws.
+export async function replayDeadLetter(id, replayers) {
+  const letter = await getDeadLetter(id);
+  if (!letter) return null;
+  const replay = replayers[letter.source];
+  if (!replay) throw new Error(`No replayer for dead letter source "${letter.source}".`);
+
+  const steps = createSteps(letter.completedSteps);
+  try {
+    const result = await replay(letter, steps);
+    await discardDeadLetter(id);
+    console.log(`Dead Letters: Replayed ${letter.source} ${letter.topic} event ${id}. Skipped: ${steps.skipped.join(', ') || 'none'}.`);
+    return { id, skippedSteps: steps.skipped, result: result === undefined ? null : result };
+  } catch (error) {
+    await recordDeadLetter({ ...letter, error, completedSteps: steps.completed });
+    throw error;
+  }
+}
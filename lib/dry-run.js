@@ -0,0 +1,189 @@
+// Dry-run ("plan") mode for the webhook handlers.
+//
+// planRun(fn) runs fn with a plan recorder in AsyncLocalStorage. While it's active, the shared
+// chokepoints record their writes instead of making them:
+//   - Redis (lib/redis.js): write commands are recorded. Writes to strings and hashes are kept
+//     in memory and read back, so e.g. a counter incremented earlier in the run reads as incremented.
+//   - Shopify mutations (lib/shopify.js): metafield writes and inventory adjustments are recorded.
+//   - Back-in-stock emails (lib/back-in-stock.js) and alerts (lib/notifications.js).
+//   - Locks (lib/lock.js) aren't taken, so a plan never holds up real webhooks.
+//   - Legacy waitlist lists (lib/waitlist.js) aren't converted; they're read as they are.
+// Reads still go to Redis and Shopify, so the plan is worked out from current data.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+export const isDryRun = () => Boolean(storage.getStore());
+
+export function recordPlan(section, entry) {
+  storage.getStore().plan[section].push(entry);
+}
+
+// Returns { plan, result } where result is whatever fn returned.
+export async function planRun(fn) {
+  const run = {
+    plan: { metafieldWrites: [], inventoryAdjustments: [], otherMutations: [], redis: [], emails: [], alerts: [] },
+    staged: new Map(),
+  };
+  const result = await storage.run(run, fn);
+  return { plan: run.plan, result };
+}
+
+// --- SHOPIFY ---
+
+// Stands in for shopifyGraphqlClient() on a mutation. Every mutation we send only selects userErrors.
+export function planMutation(query, variables) {
+  const field = query.match(/mutation[^{]*\{\s*(\w+)/)?.[1] || 'unknown';
+  if (field === 'metafieldsSet') {
+    for (const { ownerId, namespace, key, value } of variables.metafields) {
+      recordPlan('metafieldWrites', { ownerId, metafield: `${namespace}.${key}`, value });
+    }
+  } else if (field === 'inventorySetQuantities') {
+    const { reason, quantities } = variables.input;
+    for (const q of quantities) {
+      recordPlan('inventoryAdjustments', { inventoryItemId: q.inventoryItemId, locationId: q.locationId, from: q.compareQuantity ?? null, to: q.quantity, reason });
+    }
+  } else {
+    recordPlan('otherMutations', { mutation: field, variables });
+  }
+  return { data: { [field]: { userErrors: [] } } };
+}
+
+// --- REDIS ---
+
+const WRITE_COMMANDS = new Set([
+  'set', 'del', 'expire', 'pexpire', 'persist', 'incr', 'incrby', 'hset', 'hsetnx', 'hdel', 'hincrby',
+  'sadd', 'srem', 'lpush', 'rpush', 'lrem', 'zadd', 'zrem', 'zremrangebyscore', 'eval',
+]);
+
+// Staged entries are { deleted: true }, { value } for strings, or { fields, cleared } for hashes.
+// A field staged as null has been deleted.
+function stagedHash(staged, key) {
+  let entry = staged.get(key);
+  if (!entry?.fields) {
+    entry = { fields: new Map(), cleared: Boolean(entry) };
+    staged.set(key, entry);
+  }
+  return entry;
+}
+
+const readCommands = {
+  async get(client, staged, key) {
+    const entry = staged.get(key);
+    if (entry?.deleted) return null;
+    if (entry && 'value' in entry) return entry.value;
+    return client.get(key);
+  },
+  async hget(client, staged, key, field) {
+    const entry = staged.get(key);
+    if (entry?.deleted) return null;
+    if (entry?.fields?.has(field)) return entry.fields.get(field);
+    if (entry?.cleared) return null;
+    return client.hget(key, field);
+  },
+  async hgetall(client, staged, key) {
+    const entry = staged.get(key);
+    if (entry?.deleted) return null;
+    const hash = { ...(entry?.cleared ? {} : await client.hgetall(key)) };
+    for (const [field, value] of entry?.fields || []) {
+      if (value === null) delete hash[field];
+      else hash[field] = value;
+    }
+    return Object.keys(hash).length > 0 ? hash : null;
+  },
+};
+
+const writeCommands = {
+  async set(client, staged, key, value, opts) {
+    if (opts?.nx && (await readCommands.get(client, staged, key)) !== null) return null;
+    staged.set(key, { value });
+    return 'OK';
+  },
+  async del(client, staged, ...keys) {
+    for (const key of keys) staged.set(key, { deleted: true });
+    return keys.length;
+  },
+  async incr(client, staged, key) {
+    return writeCommands.incrby(client, staged, key, 1);
+  },
+  async incrby(client, staged, key, increment) {
+    const value = (Number(await readCommands.get(client, staged, key)) || 0) + Number(increment);
+    staged.set(key, { value });
+    return value;
+  },
+  async hset(client, staged, key, values) {
+    const { fields } = stagedHash(staged, key);
+    for (const [field, value] of Object.entries(values)) fields.set(field, value);
+    return Object.keys(values).length;
+  },
+  async hsetnx(client, staged, key, field, value) {
+    if ((await readCommands.hget(client, staged, key, field)) !== null) return 0;
+    stagedHash(staged, key).fields.set(field, value);
+    return 1;
+  },
+  async hincrby(client, staged, key, field, increment) {
+    const value = (Number(await readCommands.hget(client, staged, key, field)) || 0) + Number(increment);
+    stagedHash(staged, key).fields.set(field, value);
+    return value;
+  },
+  async hdel(client, staged, key, ...fields) {
+    const entry = stagedHash(staged, key);
+    for (const field of fields) entry.fields.set(field, null);
+    return fields.length;
+  },
+};
+
+async function runCommand(client, run, name, args) {
+  if (WRITE_COMMANDS.has(name)) {
+    run.plan.redis.push({ command: name, args });
+    // Sets, lists and sorted sets aren't staged; their writes just report success.
+    return writeCommands[name] ? writeCommands[name](client, run.staged, ...args) : 1;
+  }
+  if (readCommands[name]) return readCommands[name](client, run.staged, ...args);
+  return client[name](...args);
+}
+
+// Commands are run one at a time when exec() is called, so they see each other's staged writes.
+function planPipeline(client, run) {
+  const commands = [];
+  const pipeline = new Proxy({}, {
+    get(_, name) {
+      if (name === 'then') return undefined;
+      if (name === 'exec') {
+        return async ({ keepErrors } = {}) => {
+          const results = [];
+          for (const [command, args] of commands) {
+            try {
+              const result = await runCommand(client, run, command, args);
+              results.push(keepErrors ? { result, error: undefined } : result);
+            } catch (error) {
+              if (!keepErrors) throw error;
+              results.push({ result: undefined, error: error.message });
+            }
+          }
+          return results;
+        };
+      }
+      return (...args) => {
+        commands.push([name, args]);
+        return pipeline;
+      };
+    },
+  });
+  return pipeline;
+}
+
+// Wraps the Redis client so it behaves normally, except inside planRun().
+export function withDryRun(client) {
+  return new Proxy(client, {
+    get(target, name) {
+      const value = Reflect.get(target, name);
+      if (typeof value !== 'function') return value;
+      const run = storage.getStore();
+      if (!run) return value.bind(target);
+      if (name === 'multi' || name === 'pipeline') return () => planPipeline(target, run);
+      return (...args) => runCommand(target, run, name, args);
+    },
+  });
+}
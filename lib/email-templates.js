@@ -0,0 +1,307 @@
+// Every email (and landing page) the app sends, rendered through the escaped templates in lib/templates.js.
+//
+// A template is { layout, description, sample, render(data) }. render() returns the subject,
+// the content as html`...`, and a plain-text version; renderTemplate() wraps both in the layout.
+// `sample` is example data for the preview endpoint (/api/email-preview).
+
+import { html, safeUrl, layouts } from './templates.js';
+
+// --- BACK IN STOCK ---
+
+const backInStock = {
+  layout: 'customer',
+  description: 'Sent to a waitlist when the variant is back in stock.',
+  sample: {
+    productTitle: 'Industry Nine Hydra Classic Rear Hub',
+    variantTitle: '32h / Black',
+    productUrl: 'https://loamlabsusa.com/products/hydra-classic-rear-hub?variant=123',
+    imageUrl: null,
+    unsubscribeUrl: 'https://your-vercel-url.vercel.app/api/unsubscribe-notification?token=sample',
+  },
+  render: (data) => ({
+    subject: `✅ It's Back! ${data.productTitle} is in stock`,
+    html: html`
+      <h2>Great News!</h2>
+      <p>The item you requested a notification for is now back in stock.</p>
+      <div class="product-box">
+        ${data.imageUrl && html`<img src="${safeUrl(data.imageUrl)}" alt="${data.productTitle}" class="product-image">`}
+        <h3>${data.productTitle}</h3>
+        <p><strong>Variant:</strong> ${data.variantTitle}</p>
+        <a href="${safeUrl(data.productUrl)}" class="cta-button">View Product</a>
+      </div>
+      <p style="text-align:center; margin-top:30px; font-size: 14px; color: #777;">Stock is limited. Don't miss out!</p>
+    `,
+    text: `Great news! The item you wanted, ${data.productTitle} (${data.variantTitle}), is back in stock. Shop now: ${data.productUrl}`,
+  }),
+};
+
+// --- WAITLIST SIGNUPS ---
+
+const waitlistConfirmation = {
+  layout: 'customer',
+  description: 'Double opt-in: asks the customer to confirm a back-in-stock signup.',
+  sample: {
+    productTitle: 'Industry Nine Hydra Classic Rear Hub',
+    variantTitle: '32h / Black',
+    confirmUrl: 'https://your-vercel-url.vercel.app/api/confirm-notification?token=sample',
+  },
+  render: (data) => ({
+    subject: `Confirm your back-in-stock alert for ${data.productTitle}`,
+    html: html`
+      <p>Please confirm that you'd like an email when <strong>${data.productTitle} (${data.variantTitle})</strong> is back in stock.</p>
+      <p><a href="${safeUrl(data.confirmUrl)}">Confirm my alert</a></p>
+      <p style="font-size: 14px; color: #777;">If you didn't ask for this, just ignore this email and you won't hear from us.</p>
+    `,
+    text: `Please confirm that you'd like an email when ${data.productTitle} (${data.variantTitle}) is back in stock: ${data.confirmUrl}\n\nIf you didn't ask for this, just ignore this email.`,
+  }),
+};
+
+// With `buttonLabel`, the page is a form that POSTs back to the same URL (token included), so
+// opening a link (or a mail scanner prefetching it) changes nothing until the button is pressed.
+const waitlistPage = {
+  layout: 'page',
+  description: 'Page shown by the confirmation and unsubscribe links.',
+  sample: {
+    message: "Get an email when Industry Nine Hydra Classic Rear Hub (32h / Black) is back in stock?",
+    buttonLabel: 'Confirm my alert',
+  },
+  render: (data) => ({
+    subject: null,
+    html: html`<p>${data.message}</p>${data.buttonLabel && html`<form method="post"><button type="submit">${data.buttonLabel}</button></form>`}`,
+    text: data.message,
+  }),
+};
+
+const stockRequest = {
+  layout: 'alert',
+  description: 'Tells the owner about a new (confirmed) back-in-stock signup.',
+  sample: {
+    email: 'rider@example.com',
+    productTitle: 'Industry Nine Hydra Classic Rear Hub',
+    variantTitle: '32h / Black',
+    variantId: '123',
+    productUrl: 'https://loamlabsusa.com/products/hydra-classic-rear-hub?variant=123',
+  },
+  render: (data) => ({
+    subject: `📈 Stock Request: ${data.productTitle}`,
+    html: html`
+      <p>A customer has requested to be notified about an out-of-stock item.</p>
+      <ul>
+        <li><strong>Customer Email:</strong> ${data.email}</li>
+        <li><strong>Product:</strong> ${data.productTitle}</li>
+        <li><strong>Variant:</strong> ${data.variantTitle}</li>
+        <li><strong>Variant ID:</strong> ${data.variantId}</li>
+        <li><strong>URL:</strong> ${data.productUrl ? html`<a href="${safeUrl(data.productUrl)}">${data.productUrl}</a>` : 'Not on the online store'}</li>
+      </ul>
+    `,
+    text: `A customer (${data.email}) has requested to be notified about ${data.productTitle} (${data.variantTitle}), variant ${data.variantId}: ${data.productUrl || 'not on the online store'}`,
+  }),
+};
+
+// --- LOW-STOCK REPORT ---
+
+const CHANGE_LABELS = {
+  new: 'NEWLY LOW',
+  worsened: 'WORSENED',
+  unchanged: 'UNCHANGED',
+  recovered: 'RECOVERED',
+};
+
+function lowStockItemHtml(item) {
+  const locationLines = item.locations.map((l, i) => {
+    const line = `${l.name}: ${l.available}${l.threshold > 0 ? ` (Threshold: ${l.threshold})` : ''}`;
+    return html`${i > 0 && html`<br>`}${l.isLow ? html`<strong>${line}</strong>` : line}`;
+  });
+  const { forecast } = item;
+  const forecastLines = forecast.daysOfCover === null
+    ? 'No sales in the last 90 days.'
+    : html`Velocity: ${forecast.perDay30.toFixed(2)}/day (30d), ${forecast.perDay90.toFixed(2)}/day (90d)<br>Days of Cover: ${forecast.daysOfCover} (Projected Stockout: ${forecast.stockoutDate})<br>Suggested Reorder: ${forecast.reorderQuantity} (Lead Time: ${forecast.leadTimeDays} days)`;
+  const previousLine = item.previousQuantity === null ? '' : ` (Last Report: ${item.previousQuantity})`;
+  const waitlistLine = item.waitlistCount > 0 && html`<br><strong>Waitlist: ${item.waitlistCount} waiting</strong>`;
+  return html`<li>[${CHANGE_LABELS[item.change]}] <strong>${item.variantTitle}</strong><br>SKU: ${item.sku || 'N/A'}<br>Current Quantity: ${item.quantity}${previousLine} (Alert Threshold: ${item.alertThreshold || 'none'})<br>${locationLines}<br>${forecastLines}<br>Historical Sales Count: ${item.historicalCount}${waitlistLine}</li>`;
+}
+
+function lowStockItemText(item) {
+  const previousLine = item.previousQuantity === null ? '' : ` (Last Report: ${item.previousQuantity})`;
+  return `[${CHANGE_LABELS[item.change]}] ${item.productTitle} (${item.variantTitle}), SKU ${item.sku || 'N/A'}: ${item.quantity}${previousLine} / threshold ${item.alertThreshold || 'none'}${item.waitlistCount > 0 ? `, ${item.waitlistCount} waiting` : ''}`;
+}
+
+const recoveredNow = (item) => (item.quantity === null ? 'no longer monitored' : `now ${item.quantity}`);
+const conversionLine = (product) => `${product.productTitle}: ${product.converted} of ${product.sent} notified customers bought (${product.conversionRate}%), ${product.unitsSold} units`;
+
+// The report is grouped by product, and the specific threshold is shown for each variant.
+function renderLowStockReport(data) {
+  const { ruleName, isDigest, items, recovered, purchaseOrders, conversions, thresholdSuggestions } = data;
+  const newCount = items.filter(item => item.change === 'new').length;
+  const worsenedCount = items.filter(item => item.change === 'worsened').length;
+
+  const groupedItems = items.reduce((acc, item) => {
+    const key = item.productTitle; // Group by product title only
+    if (!acc[key]) acc[key] = [];
+    acc[key].push(item);
+    return acc;
+  }, {});
+
+  const content = html`
+    <h1>${isDigest ? 'Daily Low Stock Digest' : 'Cumulative Low Stock Report'}: ${ruleName}</h1>
+    ${items.length > 0
+      ? html`<p>The following ${ruleName.toLowerCase()} products have variants below their defined stock thresholds. Changes are since the last report.</p>`
+      : html`<p>All previously reported ${ruleName.toLowerCase()} variants are back above their thresholds.</p>`}
+    ${Object.entries(groupedItems).map(([productTitle, group]) => html`<hr><h3>${productTitle}</h3><ul>${group.map(lowStockItemHtml)}</ul>`)}
+    ${recovered.length > 0 && html`<hr><h3>Recovered Since Last Report</h3><ul>${recovered.map(item => html`<li>[${CHANGE_LABELS.recovered}] ${item.productTitle} (${item.variantTitle}), SKU ${item.sku || 'N/A'}: ${item.previousQuantity} &rarr; ${recoveredNow(item)}</li>`)}</ul>`}
+    ${purchaseOrders.length > 0 && html`<hr><h3>Draft Purchase Orders</h3><p>One CSV per supplier is attached.</p><ul>${purchaseOrders.map(order => html`<li><strong>${order.supplier}</strong>: ${order.lines.length} variants, ${order.totalUnits} units</li>`)}</ul>`}
+    ${conversions.length > 0 && html`<hr><h3>Back-in-Stock Conversions</h3><ul>${conversions.map(product => html`<li>${conversionLine(product)}</li>`)}</ul>`}
+    ${thresholdSuggestions.length > 0 && html`<hr><h3>${data.thresholdsWritten ? 'Updated' : 'Suggested'} Alert Thresholds</h3><ul>${thresholdSuggestions.map(suggestion => html`<li>${suggestion.productTitle} (${suggestion.variantTitle}), SKU ${suggestion.sku || 'N/A'}: ${suggestion.currentThreshold} &rarr; ${suggestion.suggestedThreshold}</li>`)}</ul>`}
+    ${items.length > 0 && html`<hr><p>Please consider reordering soon.</p>`}
+  `;
+
+  // Plain-text lines for chat and webhook channels, one per item.
+  const textLines = [
+    ...items.map(lowStockItemText),
+    ...recovered.map(item => `[${CHANGE_LABELS.recovered}] ${item.productTitle} (${item.variantTitle}), SKU ${item.sku || 'N/A'}: ${item.previousQuantity} -> ${recoveredNow(item)}`),
+  ];
+  if (purchaseOrders.length > 0) {
+    textLines.push('', 'Draft purchase orders:', ...purchaseOrders.map(order => `${order.supplier}: ${order.lines.length} variants, ${order.totalUnits} units`));
+  }
+  if (conversions.length > 0) {
+    textLines.push('', 'Back-in-stock conversions:', ...conversions.map(conversionLine));
+  }
+
+  return {
+    subject: `${isDigest ? 'DAILY' : 'CUMULATIVE'} Low Stock Report: ${ruleName} (${items.length} variants: ${newCount} new, ${worsenedCount} worsened, ${recovered.length} recovered)`,
+    html: content,
+    text: textLines.join('\n'),
+  };
+}
+
+const lowStockReport = {
+  layout: 'alert',
+  description: "A monitoring rule's cumulative low-stock report or daily digest.",
+  sample: {
+    ruleName: 'Hubs',
+    isDigest: false,
+    items: [{
+      productTitle: 'Industry Nine Hydra Classic Rear Hub',
+      variantTitle: '32h / Black',
+      sku: 'I9-HYD-R-32-BLK',
+      quantity: 1,
+      previousQuantity: 3,
+      alertThreshold: 2,
+      change: 'worsened',
+      locations: [{ name: 'Workshop', available: 1, threshold: 2, isLow: true }],
+      forecast: { daysOfCover: 6, perDay30: 0.17, perDay90: 0.12, stockoutDate: '2026-01-15', reorderQuantity: 8, leadTimeDays: 21 },
+      historicalCount: 42,
+      waitlistCount: 3,
+    }],
+    recovered: [{ productTitle: 'DT Swiss 350 Front Hub', variantTitle: '28h / Boost', sku: 'DT-350-F-28', previousQuantity: 1, quantity: 6 }],
+    purchaseOrders: [{ supplier: 'Industry Nine', lines: [{}], totalUnits: 8 }],
+    conversions: [{ productTitle: 'Industry Nine Hydra Classic Rear Hub', sent: 12, converted: 3, conversionRate: 25, unitsSold: 3 }],
+    thresholdSuggestions: [],
+    thresholdsWritten: false,
+  },
+  render: renderLowStockReport,
+};
+
+// --- SYNC DRIFT ---
+
+function renderSyncDrift({ groupsChecked, repair, drifted }) {
+  const memberHtml = (finding, member) => {
+    const correction = finding.corrections.find(c => c.variantId === member.variantId);
+    const repairResult = finding.repairs?.find(r => r.variantId === member.variantId);
+    const repairText = repairResult && (repairResult.repaired ? 'applied' : `not applied${repairResult.error ? ` (${repairResult.error})` : ''}`);
+    return html`<li><strong>${member.productTitle} (${member.variantTitle})</strong>${member.isPrimary && ' [primary]'}<br>Available: ${member.available} (updated ${member.updatedAt})${correction && html`<br>Correction: ${correction.from} &rarr; ${correction.to}`}${repairResult && html`<br>Repair: ${repairText}`}</li>`;
+  };
+
+  return {
+    subject: `Sync Drift Report (${drifted.length} groups${repair ? ', repaired' : ''})`,
+    html: html`
+      <h1>Sync Group Drift Report</h1><p>${drifted.length} of ${groupsChecked} sync groups have members that disagree${repair && ' (repair mode was on)'}.</p>
+      ${drifted.map(finding => html`<hr><h3>${finding.syncKey} @ ${finding.locationName}</h3>
+      <p>Proposed quantity: <strong>${finding.proposedQuantity}</strong> (source of truth: ${finding.sourceOfTruth.variantId}, ${finding.sourceOfTruth.rule})</p><ul>${finding.members.map(member => memberHtml(finding, member))}</ul>`)}
+    `,
+    text: drifted.map(finding => {
+      const corrections = finding.corrections.map(c => {
+        const member = finding.members.find(m => m.variantId === c.variantId);
+        return `${member.productTitle} (${member.variantTitle}) ${c.from} -> ${c.to}`;
+      });
+      return `${finding.syncKey} @ ${finding.locationName}: ${corrections.join(', ')}`;
+    }).join('\n'),
+  };
+}
+
+const syncDrift = {
+  layout: 'alert',
+  description: 'Findings of the sync-group drift audit.',
+  sample: {
+    groupsChecked: 40,
+    repair: false,
+    drifted: [{
+      syncKey: 'sapim-race-black-262',
+      locationName: 'Workshop',
+      proposedQuantity: 120,
+      sourceOfTruth: { variantId: 'gid://shopify/ProductVariant/1', rule: 'primary' },
+      members: [
+        { variantId: 'gid://shopify/ProductVariant/1', productTitle: 'Sapim Race Spoke', variantTitle: 'Black / 262mm', isPrimary: true, available: 120, updatedAt: '2026-01-10T09:00:00Z' },
+        { variantId: 'gid://shopify/ProductVariant/2', productTitle: 'Sapim Race Spoke (Bulk)', variantTitle: 'Black / 262mm', isPrimary: false, available: 96, updatedAt: '2026-01-09T17:30:00Z' },
+      ],
+      corrections: [{ variantId: 'gid://shopify/ProductVariant/2', from: 96, to: 120 }],
+    }],
+  },
+  render: renderSyncDrift,
+};
+
+// --- PRIVACY ---
+
+function renderCustomerDataRequest(data) {
+  const lines = [
+    ...data.waitlists.map(entry => `Waiting on variant ${entry.variantId} since ${entry.signedUpAt}`),
+    ...data.notificationsSent.map(send => `Back-in-stock email for variant ${send.variantId} sent ${send.sentAt}`),
+    ...data.failedWebhooks.map(webhook => `Failed ${webhook.topic} webhook (with the order's details) held for replay since ${webhook.failedAt}`),
+  ];
+  const none = 'No back-in-stock data is stored for this customer.';
+  return {
+    subject: `Customer Data Request: ${data.email}`,
+    html: html`
+      <p>Shopify forwarded a customer data request (request ${data.requestId}, customer ${data.customerId}) for ${data.shop}. Please send the customer the data below.</p>
+      <p><strong>Customer Email:</strong> ${data.email}</p>
+      ${lines.length > 0 ? html`<ul>${lines.map(line => html`<li>${line}</li>`)}</ul>` : html`<p>${none}</p>`}
+    `,
+    text: `Customer data request ${data.requestId} for ${data.email} (${data.shop}):\n${lines.length > 0 ? lines.join('\n') : none}`,
+  };
+}
+
+const customerDataRequest = {
+  layout: 'alert',
+  description: 'A customers/data_request compliance webhook, with the data stored for the customer.',
+  sample: {
+    requestId: 9999,
+    customerId: 1234,
+    shop: 'loamlabs.myshopify.com',
+    email: 'rider@example.com',
+    waitlists: [{ variantId: '123', signedUpAt: '2026-01-02T10:00:00.000Z' }],
+    notificationsSent: [{ variantId: '456', sentAt: '2026-01-05T15:30:00.000Z' }],
+    failedWebhooks: [{ topic: 'orders/create', failedAt: '2026-01-06T09:15:00.000Z' }],
+  },
+  render: renderCustomerDataRequest,
+};
+
+// --- REGISTRY ---
+
+export const templates = {
+  back_in_stock: backInStock,
+  waitlist_confirmation: waitlistConfirmation,
+  waitlist_page: waitlistPage,
+  stock_request: stockRequest,
+  low_stock_report: lowStockReport,
+  sync_drift: syncDrift,
+  customer_data_request: customerDataRequest,
+};
+
+// Returns { subject, html, text } with the layout applied.
+export function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown template "${name}".`);
+  const { subject, html: content, text } = template.render(data);
+  const wrapped = layouts[template.layout](content, text, data);
+  return { subject, html: String(wrapped.html), text: wrapped.text };
+}
@@ -0,0 +1,517 @@
+// custom.historical_order_count bookkeeping and dated sales events.
+//
+// Counting is driven by a per-order ledger so each order's effect is applied exactly once,
+// however many times (or in whatever order) Shopify delivers its webhooks:
+//   order_ledger:{orderId}      hash  variantId -> units this order currently contributes
+//   historical_order_counts     hash  variantId -> running count (seeded from the metafield)
+// Every order event (create, edit, refund, cancel) re-reads the order, works out the units it
+// should contribute now (0 once cancelled), and applies only the difference from the ledger.
+// Orders placed before ledgers existed have none; run the backfill (recomputeHistoricalCounts
+// with apply) to write them before the cancel, refund and edit webhooks are registered.
+// The ledger and counter are updated in one MULTI, and the metafield is written from the
+// counter under a per-variant lock, so concurrent orders can't overwrite each other's counts.
+// The same MULTI queues each change in order_pending_counts:{orderId}, and the metafield write,
+// sales event and audit event are only cleared from it once done, so a retry finishes them.
+
+import { randomUUID } from 'crypto';
+import { redis } from './redis.js';
+import { shopifyGraphqlClient, fetchAllNodes, legacyId } from './shopify.js';
+import { withLock } from './lock.js';
+import { recordAuditEvent } from './audit-log.js';
+import { isDryRun } from './dry-run.js';
+
+const HISTORICAL_COUNTS_KEY = 'historical_order_counts';
+const ORDER_LEDGER_TTL_SECONDS = 60 * 60 * 24 * 400;
+const REDIS_CHUNK = 500;
+const METAFIELDS_SET_LIMIT = 25;
+
+const orderLedgerKey = (orderId) => `order_ledger:${orderId}`;
+const orderPendingKey = (orderId) => `order_pending_counts:${orderId}`;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation setMetafields($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const historicalCountMetafield = (variantId, count) => ({
+  ownerId: `gid://shopify/ProductVariant/${variantId}`,
+  namespace: 'custom',
+  key: 'historical_order_count',
+  value: String(count),
+  type: 'number_integer',
+});
+
+// Adds one order's line items to a units-by-variant map. currentQuantity already excludes
+// units removed by order edits and refunds; quantity is what was originally ordered.
+function addLineItemUnits(units, lineItems, field = 'currentQuantity') {
+  for (const lineItem of lineItems) {
+    if (!lineItem.variant) continue;
+    const variantId = legacyId(lineItem.variant.id);
+    units[variantId] = (units[variantId] || 0) + lineItem[field];
+  }
+  return units;
+}
+
+// Returns { createdAt, cancelled, lineItems }, or null if the order doesn't exist.
+async function fetchOrderLineItems(orderId) {
+  const query = `
+    query getOrderLineItems($id: ID!, $cursor: String) {
+      order(id: $id) {
+        createdAt
+        cancelledAt
+        lineItems(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          edges { node { quantity currentQuantity variant { id } } }
+        }
+      }
+    }
+  `;
+  let order = null;
+  const lineItems = await fetchAllNodes(query, { id: `gid://shopify/Order/${orderId}` }, (data) => {
+    order = data.order && { createdAt: data.order.createdAt, cancelled: Boolean(data.order.cancelledAt) };
+    return data.order?.lineItems;
+  });
+  return order && { ...order, lineItems };
+}
+
+// A dry run's sample payload may not match a real order; this builds the same shape as
+// fetchOrderLineItems() from the payload's own line items.
+function orderFromPayload(payload) {
+  return {
+    createdAt: payload.created_at || new Date().toISOString(),
+    cancelled: Boolean(payload.cancelled_at),
+    lineItems: (payload.line_items || []).map(item => ({
+      quantity: item.quantity,
+      currentQuantity: item.current_quantity ?? item.quantity,
+      variant: item.variant_id ? { id: `gid://shopify/ProductVariant/${item.variant_id}` } : null,
+    })),
+  };
+}
+
+// Shopify stops retrying a webhook after 48 hours, so an order older than that has had its
+// orders/create delivered (or given up on) long ago.
+const WEBHOOK_RETRY_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+// What the order has contributed so far, and whether that came from a stored ledger. An order
+// without a ledger is new, unless it's older than the webhook retry window and this isn't its
+// orders/create: then it was counted before ledgers existed (or its ledger expired), so it
+// contributed its originally ordered units.
+async function loadOrderLedger(orderId, order, topic) {
+  const ledger = await redis.hgetall(orderLedgerKey(orderId));
+  if (ledger) return { ledger, stored: true };
+  if (topic === 'orders/create' || Date.now() - Date.parse(order.createdAt) < WEBHOOK_RETRY_WINDOW_MS) {
+    return { ledger: {}, stored: false };
+  }
+  console.log(`Order ${orderId} has no ledger. Assuming its originally ordered units were counted.`);
+  return { ledger: addLineItemUnits({}, order.lineItems, 'quantity'), stored: false };
+}
+
+// Units per variant the order should contribute now. A cancelled order contributes nothing, but
+// its variants stay in the ledger at 0 so it's never mistaken for an order without one.
+function orderTargetUnits(order) {
+  const units = addLineItemUnits({}, order.lineItems);
+  if (order.cancelled) {
+    for (const variantId of Object.keys(units)) units[variantId] = 0;
+  }
+  return units;
+}
+
+// Makes sure the Redis counter exists, seeding it from the metafield the first time a variant is seen.
+async function ensureCounterSeeded(variantId) {
+  if (await redis.hexists(HISTORICAL_COUNTS_KEY, variantId)) return;
+  const query = `
+    query getHistoricalCount($id: ID!) {
+      productVariant(id: $id) {
+        historicalOrderCount: metafield(namespace: "custom", key: "historical_order_count") { value }
+      }
+    }
+  `;
+  const result = await shopifyGraphqlClient(query, { id: `gid://shopify/ProductVariant/${variantId}` });
+  const metafield = result.data.productVariant?.historicalOrderCount;
+  await redis.hsetnx(HISTORICAL_COUNTS_KEY, variantId, metafield ? parseInt(metafield.value, 10) || 0 : 0);
+}
+
+async function setMetafields(metafields) {
+  const result = await shopifyGraphqlClient(METAFIELDS_SET_MUTATION, { metafields });
+  const userErrors = result.data.metafieldsSet.userErrors;
+  if (userErrors.length > 0) {
+    throw new Error(`metafieldsSet failed: ${userErrors.map(e => e.message).join('; ')}`);
+  }
+}
+
+// Writes the counter's latest value to the metafield. Taking the lock and re-reading inside it
+// means the last write always carries the newest count. Returns the count written.
+async function writeHistoricalCountMetafield(variantId) {
+  return withLock(`historical_count:${variantId}`, async () => {
+    const count = Math.max(0, Number(await redis.hget(HISTORICAL_COUNTS_KEY, variantId)) || 0);
+    await setMetafields([historicalCountMetafield(variantId, count)]);
+    console.log(`Historical count for variant ${variantId} is now ${count}.`);
+    return count;
+  });
+}
+
+// SKUs for the audit log. The counts are already applied by the time this runs, so a failed
+// lookup only leaves the SKUs out rather than failing (and retrying) the webhook.
+async function fetchVariantSkus(variantIds) {
+  const query = `
+    query getVariantSkus($ids: [ID!]!) {
+      nodes(ids: $ids) { ... on ProductVariant { id sku } }
+    }
+  `;
+  try {
+    const result = await shopifyGraphqlClient(query, { ids: variantIds.map(id => `gid://shopify/ProductVariant/${id}`) });
+    return new Map((result.data?.nodes || []).filter(Boolean).map(node => [legacyId(node.id), node.sku]));
+  } catch (error) {
+    console.error('Historical Counts: Could not look up SKUs for the audit log:', error.message);
+    return new Map();
+  }
+}
+
+// Applies the difference between what the order should contribute now and its ledger. The
+// counter, the ledger and a pending entry per change are written in one MULTI; the pending
+// entries are what drainPendingCounts() turns into metafield writes and sales events.
+async function applyOrderLedger(orderId, topic, payload) {
+  let order = await fetchOrderLineItems(orderId);
+  if (order === null && payload && isDryRun()) {
+    console.log(`Order ${orderId} not found. Planning historical counts from the payload.`);
+    order = orderFromPayload(payload);
+  }
+  if (order === null) {
+    console.warn(`Order ${orderId} not found. Historical counts unchanged.`);
+    return;
+  }
+
+  const targetUnits = orderTargetUnits(order);
+  const { ledger, stored } = await loadOrderLedger(orderId, order, topic);
+  const variantIds = new Set([...Object.keys(ledger), ...Object.keys(targetUnits)]);
+  const deltas = [...variantIds]
+    .map(variantId => ({ variantId, delta: (targetUnits[variantId] || 0) - (Number(ledger[variantId]) || 0) }))
+    .filter(change => change.delta !== 0);
+
+  if (deltas.length === 0 && (stored || variantIds.size === 0)) {
+    console.log(`Order ${orderId} already fully counted. Nothing to apply.`);
+    return;
+  }
+
+  for (const { variantId } of deltas) {
+    await ensureCounterSeeded(variantId);
+  }
+
+  // The whole ledger is written, so an order seen for the first time gets one even when
+  // nothing changed. Removed units are dated at the order's creation (see SALES EVENTS).
+  const at = Date.now();
+  const orderedAt = Date.parse(order.createdAt) || at;
+  const tx = redis.multi();
+  for (const { variantId, delta } of deltas) {
+    tx.hincrby(HISTORICAL_COUNTS_KEY, variantId, delta);
+  }
+  tx.hset(orderLedgerKey(orderId), Object.fromEntries([...variantIds].map(variantId => [variantId, targetUnits[variantId] || 0])));
+  tx.expire(orderLedgerKey(orderId), ORDER_LEDGER_TTL_SECONDS);
+  const pendingEntries = deltas.map(({ variantId, delta }) => [`${variantId}:${at}`, { variantId, delta, at, eventAt: delta < 0 ? orderedAt : at, topic }]);
+  if (deltas.length > 0) {
+    tx.hset(orderPendingKey(orderId), Object.fromEntries(pendingEntries));
+    tx.expire(orderPendingKey(orderId), ORDER_LEDGER_TTL_SECONDS);
+  }
+  const results = await tx.exec();
+
+  // The HINCRBY replies are the counts this order's change produced, whatever other orders do
+  // afterwards; the audit event records them. An entry without them (the process stopped before
+  // this write) falls back to the counter's value when it's drained.
+  if (deltas.length > 0) {
+    await redis.hset(orderPendingKey(orderId), Object.fromEntries(pendingEntries.map(([field, entry], i) => [
+      field,
+      { ...entry, before: Number(results[i]) - entry.delta, after: Number(results[i]) },
+    ])));
+  }
+}
+
+// Writes the metafield, sales event and audit event for each pending change, clearing each one
+// once it's done. A failure leaves the rest pending for the next call (Shopify's retry or a
+// dead-letter replay), which sees an already-applied ledger but still has these to finish.
+// Repeating one is harmless: the metafield is rewritten from the counter and the sales event
+// has the same member.
+async function drainPendingCounts(orderId) {
+  const pending = await redis.hgetall(orderPendingKey(orderId));
+  if (!pending) return [];
+
+  const entries = Object.entries(pending).sort(([, a], [, b]) => a.at - b.at);
+  const skus = await fetchVariantSkus([...new Set(entries.map(([, entry]) => entry.variantId))]);
+  const applied = [];
+  for (const [field, { variantId, delta, at, eventAt, topic, before, after }] of entries) {
+    const count = await writeHistoricalCountMetafield(variantId);
+    await recordSalesEvent(variantId, orderId, delta, eventAt ?? at, at);
+    await recordAuditEvent({
+      type: 'historical_count',
+      trigger: { source: topic || 'order', orderId: String(orderId) },
+      variantId,
+      sku: skus.get(variantId),
+      before: before ?? Math.max(0, count - delta),
+      after: after ?? count,
+    });
+    await redis.hdel(orderPendingKey(orderId), field);
+    console.log(`Applied ${delta > 0 ? '+' : ''}${delta} units for variant ${variantId} from order ${orderId}.`);
+    applied.push({ variantId, delta });
+  }
+  return applied;
+}
+
+// `topic` is the webhook topic that triggered the sync. It's recorded in the audit log, and
+// decides how an order without a ledger is treated (see loadOrderLedger). `payload` is the
+// full order from orders/create or orders/cancelled; it's only read by a dry run, when Shopify
+// has no order with that id.
+// Returns the changes whose metafield writes completed, including any left pending by an
+// earlier failed call.
+export async function syncOrderHistoricalCounts(orderId, topic = null, payload = null) {
+  if (!orderId) return [];
+  return withLock(`order:${orderId}`, async () => {
+    await applyOrderLedger(orderId, topic, payload);
+    return drainPendingCounts(orderId);
+  });
+}
+
+// --- BACKFILL / RECOMPUTE ---
+// A large order history takes longer to read than one request may run, so the backfill is
+// resumable: each call scans pages of orders until BACKFILL_TIME_BUDGET_MS has passed, keeps its
+// progress in Redis and returns a run id, which the caller passes back to continue.
+//   historical_backfill:{runId}         JSON  { apply, cursor, ordersScanned, done, startedAt }
+//   historical_backfill_totals:{runId}  hash  variantId -> net units of the orders scanned so far
+//   historical_backfill_ledgers:{runId} hash  orderId -> the order's ledger (apply only)
+//   historical_backfill_counts:{runId}  hash  variantId -> the new counter value (apply only)
+// All expire after BACKFILL_RUN_TTL_SECONDS without progress. When applying, each page's ledgers
+// are staged with its progress and only copied over the live ones after the last page, with the
+// counter reset, so a run that's abandoned part-way leaves the live ledgers and counters alone.
+const BACKFILL_TIME_BUDGET_MS = 4 * 60 * 1000;
+const BACKFILL_RUN_TTL_SECONDS = 60 * 60 * 24;
+
+const backfillRunKey = (runId) => `historical_backfill:${runId}`;
+const backfillTotalsKey = (runId) => `historical_backfill_totals:${runId}`;
+const backfillLedgersKey = (runId) => `historical_backfill_ledgers:${runId}`;
+const backfillCountsKey = (runId) => `historical_backfill_counts:${runId}`;
+
+const ORDER_HISTORY_QUERY = `
+  query getOrders($cursor: String) {
+    orders(first: 10, after: $cursor, sortKey: CREATED_AT) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          id
+          cancelledAt
+          lineItems(first: 40) {
+            pageInfo { hasNextPage }
+            edges { node { currentQuantity variant { id } } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Scans from run.cursor until the history ends or `deadline` passes, updating `run` as it goes.
+// Each page's totals (and staged ledgers) are written in one MULTI with the run's new cursor, so a
+// call that dies part-way never counts a page twice.
+async function scanOrderHistory(runId, run, deadline) {
+  do {
+    const result = await shopifyGraphqlClient(ORDER_HISTORY_QUERY, { cursor: run.cursor });
+    const connection = result.data.orders;
+
+    const pageTotals = {};
+    const ledgers = {};
+    for (const { node: order } of connection.edges) {
+      const orderId = legacyId(order.id);
+      const lineItems = order.lineItems.pageInfo.hasNextPage
+        ? (await fetchOrderLineItems(orderId)).lineItems
+        : order.lineItems.edges.map(e => e.node);
+      const units = orderTargetUnits({ cancelled: Boolean(order.cancelledAt), lineItems });
+      ledgers[orderId] = units;
+      for (const [variantId, quantity] of Object.entries(units)) {
+        pageTotals[variantId] = (pageTotals[variantId] || 0) + quantity;
+      }
+    }
+
+    run.ordersScanned += connection.edges.length;
+    run.cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    run.done = !connection.pageInfo.hasNextPage;
+
+    const tx = redis.multi();
+    for (const [variantId, quantity] of Object.entries(pageTotals)) {
+      tx.hincrby(backfillTotalsKey(runId), variantId, quantity);
+    }
+    tx.expire(backfillTotalsKey(runId), BACKFILL_RUN_TTL_SECONDS);
+    if (run.apply && connection.edges.length > 0) {
+      tx.hset(backfillLedgersKey(runId), ledgers);
+      tx.expire(backfillLedgersKey(runId), BACKFILL_RUN_TTL_SECONDS);
+    }
+    tx.set(backfillRunKey(runId), run, { ex: BACKFILL_RUN_TTL_SECONDS });
+    await tx.exec();
+  } while (!run.done && Date.now() < deadline);
+}
+
+// Copies the run's staged ledgers over the live ones, a chunk per MULTI. The new counters are
+// staged first and renamed over historical_order_counts in the last chunk's MULTI, so the reset
+// lands together with the final ledgers.
+async function commitBackfill(runId, counterEntries) {
+  for (let i = 0; i < counterEntries.length; i += REDIS_CHUNK) {
+    await redis.hset(backfillCountsKey(runId), Object.fromEntries(counterEntries.slice(i, i + REDIS_CHUNK)));
+  }
+  await redis.expire(backfillCountsKey(runId), BACKFILL_RUN_TTL_SECONDS);
+
+  let cursor = 0;
+  do {
+    const [nextCursor, fields] = await redis.hscan(backfillLedgersKey(runId), cursor, { count: REDIS_CHUNK });
+    cursor = Number(nextCursor);
+    const tx = redis.multi();
+    for (let i = 0; i < fields.length; i += 2) {
+      const orderId = String(fields[i]);
+      const units = fields[i + 1];
+      tx.del(orderLedgerKey(orderId));
+      if (Object.keys(units).length === 0) continue;
+      tx.hset(orderLedgerKey(orderId), units);
+      tx.expire(orderLedgerKey(orderId), ORDER_LEDGER_TTL_SECONDS);
+    }
+    if (cursor === 0) {
+      if (counterEntries.length > 0) {
+        tx.rename(backfillCountsKey(runId), HISTORICAL_COUNTS_KEY);
+        tx.persist(HISTORICAL_COUNTS_KEY);
+      } else {
+        tx.del(HISTORICAL_COUNTS_KEY);
+      }
+    }
+    if (fields.length > 0 || cursor === 0) await tx.exec();
+  } while (cursor !== 0);
+}
+
+async function fetchCurrentHistoricalCounts() {
+  const query = `
+    query getVariantCounts($cursor: String) {
+      productVariants(first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges {
+          node {
+            id
+            sku
+            displayName
+            historicalOrderCount: metafield(namespace: "custom", key: "historical_order_count") { value }
+          }
+        }
+      }
+    }
+  `;
+  const variants = await fetchAllNodes(query, {}, (data) => data.productVariants);
+  return new Map(variants.map(v => [legacyId(v.id), v]));
+}
+
+// Recomputes every variant's historical_order_count from the full order history.
+// With apply=false (dry run) nothing but the run's own progress is written; the returned diff
+// lists every variant whose metafield would change. With apply=true the metafields, the Redis
+// counters and every order ledger are rewritten to match, so later webhooks for old orders adjust
+// the count correctly.
+// Pass the `runId` of an unfinished run to continue it (its apply setting is kept). Returns
+// { done: false, runId, ... } until the whole history is scanned, then the summary, or null if
+// there's no such run.
+export async function recomputeHistoricalCounts({ apply = false, runId = null } = {}) {
+  const deadline = Date.now() + BACKFILL_TIME_BUDGET_MS;
+  let run;
+  if (runId) {
+    run = await redis.get(backfillRunKey(runId));
+    if (!run) return null;
+  } else {
+    runId = randomUUID();
+    run = { apply, cursor: null, ordersScanned: 0, done: false, startedAt: new Date().toISOString() };
+  }
+
+  await scanOrderHistory(runId, run, deadline);
+  if (!run.done) {
+    console.log(`Historical Counts: Backfill ${runId} has scanned ${run.ordersScanned} orders so far.`);
+    return { done: false, runId, dryRun: !run.apply, ordersScanned: run.ordersScanned };
+  }
+
+  const totals = (await redis.hgetall(backfillTotalsKey(runId))) || {};
+  const variants = await fetchCurrentHistoricalCounts();
+  const computedCount = (variantId) => Math.max(0, Number(totals[variantId]) || 0);
+
+  const changes = [];
+  for (const [variantId, variant] of variants) {
+    const current = variant.historicalOrderCount ? parseInt(variant.historicalOrderCount.value, 10) || 0 : null;
+    const computed = computedCount(variantId);
+    if (current === computed || (current === null && computed === 0)) continue;
+    changes.push({ variantId, sku: variant.sku, title: variant.displayName, current, computed, delta: computed - (current || 0) });
+  }
+
+  const summary = { done: true, runId, dryRun: !run.apply, ordersScanned: run.ordersScanned, variantsScanned: variants.size, changes };
+  if (run.apply) {
+    for (let i = 0; i < changes.length; i += METAFIELDS_SET_LIMIT) {
+      await setMetafields(changes.slice(i, i + METAFIELDS_SET_LIMIT).map(c => historicalCountMetafield(c.variantId, c.computed)));
+    }
+    for (const change of changes) {
+      await recordAuditEvent({
+        type: 'historical_count',
+        trigger: { source: 'recompute' },
+        variantId: change.variantId,
+        sku: change.sku,
+        before: change.current,
+        after: change.computed,
+      });
+    }
+
+    await commitBackfill(runId, [...variants.keys()].map(variantId => [variantId, computedCount(variantId)]));
+    console.log(`Historical Counts: Recomputed from ${run.ordersScanned} orders. ${changes.length} metafields updated.`);
+  }
+
+  await redis.del(backfillRunKey(runId), backfillTotalsKey(runId), backfillLedgersKey(runId));
+  return summary;
+}
+
+// --- SALES EVENTS ---
+// historical_order_count is a lifetime total, so dated sales events are kept in Redis as well:
+// one sorted set per variant, scored by timestamp, with members "{orderId}:{recordedAt}:{units}".
+// Cancellations, refunds and edits that remove units are recorded as negative units dated at the
+// order's creation, so they come out of the same windows the sale was counted in; recordedAt
+// keeps two of them from the same order apart. Events older than the longest window are trimmed.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VELOCITY_WINDOWS_DAYS = [30, 90];
+const SALES_EVENTS_RETENTION_DAYS = 90;
+
+const salesEventsKey = (variantId) => `sales_events:${variantId}`;
+
+export async function recordSalesEvent(variantId, orderId, units, timestamp = Date.now(), recordedAt = timestamp) {
+  const key = salesEventsKey(variantId);
+  const cutoff = Date.now() - SALES_EVENTS_RETENTION_DAYS * DAY_MS;
+  if (timestamp > cutoff) {
+    await redis.zadd(key, { score: timestamp, member: `${orderId || 'manual'}:${recordedAt}:${units}` });
+  }
+  await redis.zremrangebyscore(key, 0, cutoff);
+}
+
+// Returns Map(legacyVariantId -> { perDay30, perDay90 }) in units per day.
+export async function fetchSalesVelocities(variantIds) {
+  const now = Date.now();
+  const since = now - SALES_EVENTS_RETENTION_DAYS * DAY_MS;
+  const velocities = new Map();
+
+  for (let i = 0; i < variantIds.length; i += REDIS_CHUNK) {
+    const chunk = variantIds.slice(i, i + REDIS_CHUNK);
+    const pipeline = redis.pipeline();
+    chunk.forEach(id => pipeline.zrange(salesEventsKey(id), since, now, { byScore: true, withScores: true }));
+    const responses = await pipeline.exec();
+
+    chunk.forEach((id, index) => {
+      const flat = responses[index] || [];
+      const totals = Object.fromEntries(VELOCITY_WINDOWS_DAYS.map(days => [days, 0]));
+      for (let j = 0; j < flat.length; j += 2) {
+        const units = parseInt(String(flat[j]).split(':').pop(), 10) || 0;
+        const ageDays = (now - Number(flat[j + 1])) / DAY_MS;
+        for (const days of VELOCITY_WINDOWS_DAYS) {
+          if (ageDays <= days) totals[days] += units;
+        }
+      }
+      velocities.set(String(id), {
+        perDay30: Math.max(0, totals[30]) / 30,
+        perDay90: Math.max(0, totals[90]) / 90,
+      });
+    });
+  }
+  return velocities;
+}
@@ -0,0 +1,131 @@
+// Inventory writes shared by the sibling sync and the drift audit.
+
+import { redis } from './redis.js';
+import { shopifyGraphqlClient, legacyId } from './shopify.js';
+import { recordAuditEvent } from './audit-log.js';
+
+// --- SYNC ECHO MARKERS ---
+
+// Written just before we change an item's quantity, so the inventory_levels/update webhook
+// Shopify fires for our own write can be recognised and ignored instead of starting another sync.
+const SYNC_ECHO_TTL_SECONDS = 120;
+
+export const syncEchoKey = (inventoryItemId, locationId) => `inventory_sync_echo:${inventoryItemId}:${locationId}`;
+
+export async function markSyncEcho(inventoryItemId, locationId, expectedQuantity) {
+  await redis.set(syncEchoKey(inventoryItemId, locationId), expectedQuantity, { ex: SYNC_ECHO_TTL_SECONDS });
+}
+
+// An update is an echo of our own sync only if it lands on the quantity we set.
+// Anything else (e.g. an order that hit the sibling in the meantime) is a real change.
+export async function consumeSyncEcho(inventoryItemId, locationId, available) {
+  const key = syncEchoKey(inventoryItemId, locationId);
+  const expectedQuantity = await redis.get(key);
+  if (expectedQuantity === null || Number(expectedQuantity) !== available) return false;
+  await redis.del(key);
+  return true;
+}
+
+// --- COMPARE-AND-SET UPDATES ---
+
+const MAX_SET_ATTEMPTS = 3;
+
+const SET_QUANTITIES_MUTATION = `
+  mutation setInventory($input: InventorySetQuantitiesInput!) {
+    inventorySetQuantities(input: $input) {
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
+
+export async function getAvailableAtLocation(inventoryItemGid, locationGid) {
+  const query = `
+    query getAvailable($inventoryItemId: ID!, $locationId: ID!) {
+      inventoryItem(id: $inventoryItemId) {
+        inventoryLevel(locationId: $locationId) {
+          quantities(names: ["available"]) {
+            quantity
+          }
+        }
+      }
+    }
+  `;
+
+  const result = await shopifyGraphqlClient(query, { inventoryItemId: inventoryItemGid, locationId: locationGid });
+  const level = result.data?.inventoryItem?.inventoryLevel;
+  // null when the item isn't stocked at that location
+  return level ? level.quantities[0].quantity : null;
+}
+
+// Sets the sibling's "available" quantity, but only if it still holds the value we just read.
+// If an order (or anything else) changes it between our read and our write, Shopify rejects
+// the write as stale and we re-read and try again, instead of applying a delta to a stale number.
+// Every change is recorded in the audit log with `trigger`, which says what asked for it.
+export async function setQuantityIfUnchanged(sibling, newQuantity, locationId, trigger = null) {
+  const locationGid = `gid://shopify/Location/${locationId}`;
+  const inventoryItemId = legacyId(sibling.inventoryItemId);
+
+  for (let attempt = 1; attempt <= MAX_SET_ATTEMPTS; attempt++) {
+    const currentQuantity = await getAvailableAtLocation(sibling.inventoryItemId, locationGid);
+    if (currentQuantity === null) {
+      return { changed: false, from: null, notStocked: true };
+    }
+    if (currentQuantity === newQuantity) {
+      return { changed: false, from: currentQuantity };
+    }
+
+    const variables = {
+      input: {
+        reason: "correction",
+        name: "available",
+        ignoreCompareQuantity: false,
+        quantities: [
+          {
+            inventoryItemId: sibling.inventoryItemId,
+            locationId: locationGid,
+            quantity: newQuantity,
+            compareQuantity: currentQuantity
+          }
+        ]
+      }
+    };
+
+    await markSyncEcho(inventoryItemId, locationId, newQuantity);
+    let userErrors;
+    try {
+      const result = await shopifyGraphqlClient(SET_QUANTITIES_MUTATION, variables);
+      userErrors = result.data.inventorySetQuantities.userErrors;
+    } catch (error) {
+      await redis.del(syncEchoKey(inventoryItemId, locationId));
+      throw error;
+    }
+
+    if (userErrors.length === 0) {
+      await recordAuditEvent({
+        type: 'inventory_adjustment',
+        trigger,
+        variantId: sibling.variantId,
+        sku: sibling.sku,
+        // Members indexed before they carried their sync key get it from the group being synced.
+        syncKey: sibling.syncKey || trigger?.syncKey,
+        locationId: String(locationId),
+        before: currentQuantity,
+        after: newQuantity,
+      });
+      return { changed: true, from: currentQuantity };
+    }
+
+    await redis.del(syncEchoKey(inventoryItemId, locationId));
+    if (!userErrors.every(e => e.code === 'COMPARE_QUANTITY_STALE')) {
+      console.error('Sync Logic: inventorySetQuantities userErrors:', JSON.stringify(userErrors, null, 2));
+      throw new Error(`inventorySetQuantities failed: ${userErrors.map(e => e.message).join('; ')}`);
+    }
+    console.warn(`Sync Logic: ${sibling.productTitle} (${sibling.variantTitle}) changed since it was read (attempt ${attempt}/${MAX_SET_ATTEMPTS}). Re-reading.`);
+  }
+
+  throw new Error(`Quantity kept changing under us after ${MAX_SET_ATTEMPTS} attempts.`);
+}
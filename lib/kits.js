@@ -0,0 +1,176 @@
+// Kits (bundles/builds) whose availability is derived from their components.
+//
+// A kit variant carries a custom.kit_components JSON metafield, its bill of materials:
+//   [{ "variantId": "gid://shopify/ProductVariant/111", "quantity": 1 },
+//    { "variantId": "gid://shopify/ProductVariant/222", "quantity": 32 }]
+// (numeric variant ids are accepted too). At each location, a kit's available quantity is the
+// minimum over its components of floor(component available / quantity needed).
+//
+// Keys:
+//   kit_index:{kitVariantGid}                 { kit: member, components: [{ variantId, quantity }] }
+//   kit_index_components:{componentVariantGid} set  kit variantGids that use the component
+//   kit_index_products:{productGid}            set  kit variantGids indexed for the product
+//
+// Members have the same shape as in lib/sync-index.js. The index is maintained from the same
+// product reads as the sync-key index.
+
+import { redis } from './redis.js';
+import { shopifyGraphqlClient, legacyId } from './shopify.js';
+import { toMember, deleteKeysMatching } from './sync-index.js';
+import { setQuantityIfUnchanged } from './inventory.js';
+
+const kitKey = (kitVariantId) => `kit_index:${kitVariantId}`;
+const componentKey = (componentVariantId) => `kit_index_components:${componentVariantId}`;
+const productKey = (productId) => `kit_index_products:${productId}`;
+
+// --- BILL OF MATERIALS ---
+
+// Returns the kit's components, or null if the variant isn't a kit or its metafield is unusable.
+export function parseKitComponents(variant) {
+  const value = variant.kitComponents?.value;
+  if (!value) return null;
+
+  let entries;
+  try {
+    entries = JSON.parse(value);
+  } catch (e) {
+    entries = null;
+  }
+  const valid = Array.isArray(entries) && entries.length > 0 && entries.every(entry =>
+    entry && entry.variantId && Number.isInteger(entry.quantity) && entry.quantity > 0);
+  if (!valid) {
+    console.warn(`Kits: Ignoring malformed kit_components on ${variant.id}.`);
+    return null;
+  }
+
+  return entries.map(entry => ({
+    variantId: String(entry.variantId).startsWith('gid://') ? entry.variantId : `gid://shopify/ProductVariant/${entry.variantId}`,
+    quantity: entry.quantity,
+  }));
+}
+
+export function kitAvailability(components, availableByVariant) {
+  const buildable = components.map(c => Math.floor((availableByVariant.get(c.variantId) || 0) / c.quantity));
+  return Math.max(0, Math.min(...buildable));
+}
+
+// --- INDEX MAINTENANCE ---
+
+function queueKit(tx, kitVariant, product, components) {
+  tx.set(kitKey(kitVariant.id), { kit: toMember(kitVariant, product), components });
+  for (const component of components) tx.sadd(componentKey(component.variantId), kitVariant.id);
+  tx.sadd(productKey(product.id), kitVariant.id);
+}
+
+// Replaces every kit indexed for one product with its current variants' bills of materials.
+export async function reindexProductKits(product, variants) {
+  const previousKitIds = await redis.smembers(productKey(product.id));
+  const previousKits = previousKitIds.length > 0 ? await redis.mget(...previousKitIds.map(kitKey)) : [];
+
+  const tx = redis.multi();
+  previousKits.forEach((entry, i) => {
+    for (const component of entry?.components || []) tx.srem(componentKey(component.variantId), previousKitIds[i]);
+    tx.del(kitKey(previousKitIds[i]));
+  });
+  tx.del(productKey(product.id));
+
+  let indexed = 0;
+  for (const variant of variants) {
+    const components = parseKitComponents(variant);
+    if (!components) continue;
+    queueKit(tx, variant, product, components);
+    indexed++;
+  }
+  await tx.exec();
+  return indexed;
+}
+
+export async function removeProductKits(productId) {
+  return reindexProductKits({ id: productId }, []);
+}
+
+// Full rebuild from the variants returned by fetchCatalogVariants() (lib/sync-index.js).
+export async function rebuildKitIndex(variants) {
+  const kits = variants.map(variant => ({ variant, components: parseKitComponents(variant) })).filter(k => k.components);
+
+  await deleteKeysMatching('kit_index:*');
+  await deleteKeysMatching('kit_index_components:*');
+  await deleteKeysMatching('kit_index_products:*');
+
+  const tx = redis.multi();
+  for (const { variant, components } of kits) queueKit(tx, variant, variant.product, components);
+  if (kits.length > 0) await tx.exec();
+
+  console.log(`Kits: Rebuilt kit index. ${kits.length} kits.`);
+  return kits.length;
+}
+
+// --- RECALCULATION ---
+
+async function fetchAvailableAtLocation(variantIds, locationGid) {
+  const query = `
+    query getComponentLevels($ids: [ID!]!, $locationId: ID!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          inventoryItem {
+            inventoryLevel(locationId: $locationId) {
+              quantities(names: ["available"]) { quantity }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const result = await shopifyGraphqlClient(query, { ids: variantIds, locationId: locationGid });
+  const available = new Map();
+  for (const node of result.data.nodes) {
+    // Deleted components and components not stocked at the location count as 0.
+    if (node?.id) available.set(node.id, node.inventoryItem?.inventoryLevel?.quantities[0].quantity ?? 0);
+  }
+  return available;
+}
+
+// Recalculates every kit that uses one of the given component variants, at one location, and
+// writes the result to the kit variant. `knownQuantities` (variantGid -> available) holds
+// quantities we already have fresher than a read, e.g. the webhook's own.
+// Kit writes go through setQuantityIfUnchanged, so their own webhooks are skipped as sync echoes.
+export async function recalculateKits(componentVariantIds, locationId, knownQuantities = new Map()) {
+  const kitIds = new Set();
+  for (const componentId of componentVariantIds) {
+    for (const kitId of await redis.smembers(componentKey(componentId))) kitIds.add(kitId);
+  }
+  if (kitIds.size === 0) return;
+
+  const locationGid = `gid://shopify/Location/${locationId}`;
+  const auditTrigger = { source: 'kit', componentVariantIds: componentVariantIds.map(legacyId) };
+  const failures = [];
+  for (const kitId of kitIds) {
+    const entry = await redis.get(kitKey(kitId));
+    if (!entry) continue;
+    const { kit, components } = entry;
+    const label = `${kit.productTitle} (${kit.variantTitle}) at location ${locationId}`;
+    try {
+      const toRead = components.map(c => c.variantId).filter(id => !knownQuantities.has(id));
+      const available = toRead.length > 0 ? await fetchAvailableAtLocation(toRead, locationGid) : new Map();
+      for (const [id, quantity] of knownQuantities) available.set(id, quantity);
+
+      const quantity = kitAvailability(components, available);
+      const { changed, from, notStocked } = await setQuantityIfUnchanged(kit, quantity, locationId, auditTrigger);
+      if (notStocked) {
+        console.warn(`Kits: Kit ${label} is not stocked there. Skipped.`);
+      } else if (changed) {
+        console.log(`Kits: Set kit ${label} from ${from} to ${quantity}`);
+      } else {
+        console.log(`Kits: Kit ${label} already at ${quantity}`);
+      }
+    } catch (error) {
+      console.error(`Kits Error: Could not update kit ${kitId} at location ${locationId}:`, error.message);
+      failures.push(error);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Kits: ${failures.length} of ${kitIds.size} kit updates failed.`);
+  }
+}
@@ -0,0 +1,31 @@
+import { randomUUID } from 'crypto';
+import { redis } from './redis.js';
+import { isDryRun } from './dry-run.js';
+
+const LOCK_TTL_MS = 30 * 1000;
+const LOCK_MAX_ATTEMPTS = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Runs fn while holding a short-lived Redis lock. The lock expires on its own if a
+// function instance dies while holding it, and is only released by the holder's token.
+// Dry runs don't take locks (see lib/dry-run.js).
+export async function withLock(name, fn) {
+  if (isDryRun()) return fn();
+  const key = `lock:${name}`;
+  const token = randomUUID();
+  for (let attempt = 0; attempt < LOCK_MAX_ATTEMPTS; attempt++) {
+    if (await redis.set(key, token, { nx: true, px: LOCK_TTL_MS }) === 'OK') {
+      try {
+        return await fn();
+      } finally {
+        await redis.eval(
+          `if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end`,
+          [key], [token]
+        );
+      }
+    }
+    await sleep(100 + Math.random() * 200);
+  }
+  throw new Error(`Could not acquire lock ${name}.`);
+}
@@ -0,0 +1,513 @@
+// Low-stock monitoring: rule-driven catalog scan, forecasting and the cumulative report.
+// Runs shortly after each order, or once a day when LOW_STOCK_REPORT_MODE is "digest".
+
+import { redis } from './redis.js';
+import { shopifyGraphqlClient, legacyId } from './shopify.js';
+import { fetchSalesVelocities } from './historical-counts.js';
+import { dispatchAlert } from './notifications.js';
+import { fetchWaitlistCounts } from './waitlist.js';
+import { fetchConversionStats } from './conversions.js';
+import { renderTemplate } from './email-templates.js';
+import { recordAuditEvent } from './audit-log.js';
+import { buildPurchaseOrders, purchaseOrderCsv, purchaseOrderFilename, savePurchaseOrders } from './purchase-orders.js';
+import monitoringRulesConfig from '../config/monitoring-rules.js';
+
+// --- FORECASTING ---
+// Velocity comes from the dated sales events recorded in lib/historical-counts.js.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The 30-day rate drives the forecast; the 90-day rate is the fallback for slow movers
+// that simply haven't sold in the last month.
+function buildForecast(quantity, velocity, leadTimeDays, reorderCoverDays) {
+    const perDay30 = velocity?.perDay30 || 0;
+    const perDay90 = velocity?.perDay90 || 0;
+    const dailyVelocity = perDay30 > 0 ? perDay30 : perDay90;
+    const forecast = { perDay30, perDay90, leadTimeDays, daysOfCover: null, stockoutDate: null, reorderQuantity: 0, suggestedThreshold: null };
+    if (dailyVelocity <= 0) return forecast;
+
+    const daysOfCover = Math.max(0, quantity) / dailyVelocity;
+    forecast.daysOfCover = Math.floor(daysOfCover);
+    forecast.stockoutDate = new Date(Date.now() + daysOfCover * DAY_MS).toISOString().slice(0, 10);
+    // Enough to cover the supplier lead time plus the rule's reorder cover period.
+    forecast.reorderQuantity = Math.max(0, Math.ceil(dailyVelocity * (leadTimeDays + reorderCoverDays)) - quantity);
+    // Reorder point: stock that will sell during the lead time.
+    forecast.suggestedThreshold = Math.max(1, Math.ceil(dailyVelocity * leadTimeDays));
+    return forecast;
+}
+
+// THRESHOLD_TUNING_MODE: "off" (default), "suggest" (list suggestions in the report)
+// or "write" (also update custom.inventory_alert_threshold).
+function resolveThresholdTuningMode() {
+    const mode = process.env.THRESHOLD_TUNING_MODE || 'off';
+    return ['off', 'suggest', 'write'].includes(mode) ? mode : 'off';
+}
+
+function resolveLeadTimeDays(variant, product, rule) {
+    const value = parseInt(variant.leadTimeDays?.value ?? product.leadTimeDays?.value, 10);
+    return Number.isNaN(value) ? rule.defaultLeadTimeDays : value;
+}
+
+function suggestThresholds(products, rule, velocities) {
+    const suggestions = [];
+    for (const product of products) {
+        for (const variant of product.variants) {
+            if (isVariantExcluded(variant, rule)) continue;
+            const currentThreshold = resolveAlertThreshold(variant, rule);
+            // A threshold of 0 turns the check off for the variant; tuning doesn't turn it back on.
+            if (currentThreshold === 0) continue;
+            const forecast = buildForecast(variant.inventoryQuantity, velocities.get(legacyId(variant.id)), resolveLeadTimeDays(variant, product, rule), rule.reorderCoverDays);
+            if (forecast.suggestedThreshold === null || forecast.suggestedThreshold === currentThreshold) continue;
+            suggestions.push({
+                variantId: variant.id,
+                productTitle: product.title,
+                variantTitle: variant.title,
+                sku: variant.sku,
+                currentThreshold,
+                suggestedThreshold: forecast.suggestedThreshold,
+            });
+        }
+    }
+    return suggestions;
+}
+
+async function writeThresholds(suggestions) {
+    for (const suggestion of suggestions) {
+        const response = await shopifyGraphqlClient(`mutation($metafields: [MetafieldsSetInput!]!) { metafieldsSet(metafields: $metafields) { userErrors { field message } } }`, {
+            metafields: [{
+                ownerId: suggestion.variantId, namespace: "custom", key: "inventory_alert_threshold",
+                value: suggestion.suggestedThreshold.toString(), type: "number_integer"
+            }]
+        });
+        const userErrors = response.data.metafieldsSet.userErrors;
+        if (userErrors.length > 0) {
+            console.error(`Could not write threshold for SKU ${suggestion.sku}:`, JSON.stringify(userErrors));
+            continue;
+        }
+        console.log(`Updated alert threshold for SKU ${suggestion.sku} from ${suggestion.currentThreshold} to ${suggestion.suggestedThreshold}.`);
+    }
+}
+
+// --- MONITORING RULES ---
+// Rules live in config/monitoring-rules.js. Each one selects products by tag, vendor,
+// product type and/or collection handle, and carries its own default threshold, variant
+// exclusions, per-location thresholds and report recipients. Metafields still override a rule's
+// defaults: custom.inventory_monitoring_enabled on the product, custom.inventory_alert_threshold and
+// custom.inventory_location_thresholds on the variant.
+const DEFAULT_REPORT_RECIPIENT = 'info@loamlabsusa.com';
+
+function loadMonitoringRules(config) {
+    return config.rules.map(rule => {
+        if (!rule.id || !rule.match || Object.keys(rule.match).length === 0) {
+            throw new Error(`Monitoring rule "${rule.id || '(unnamed)'}" needs an id and at least one match criterion.`);
+        }
+        return {
+            ...rule,
+            name: rule.name || rule.id,
+            monitoringEnabledByDefault: rule.monitoringEnabledByDefault === true,
+            defaultThreshold: rule.defaultThreshold || 0,
+            locationThresholds: rule.locationThresholds || {},
+            defaultLeadTimeDays: rule.defaultLeadTimeDays ?? 14,
+            reorderCoverDays: rule.reorderCoverDays ?? 30,
+            targetStockFactor: rule.targetStockFactor ?? 2,
+            recipients: rule.recipients?.length ? rule.recipients : [DEFAULT_REPORT_RECIPIENT],
+            excludeVariantTitle: (rule.exclude?.variantTitle || []).map(pattern => new RegExp(pattern)),
+            excludeSku: (rule.exclude?.sku || []).map(pattern => new RegExp(pattern)),
+        };
+    });
+}
+
+export const monitoringRules = loadMonitoringRules(monitoringRulesConfig);
+
+function buildProductSearchQuery(match) {
+    const terms = [];
+    if (match.tag) terms.push(`tag:'${match.tag}'`);
+    if (match.vendor) terms.push(`vendor:'${match.vendor}'`);
+    if (match.productType) terms.push(`product_type:'${match.productType}'`);
+    return terms.join(' AND ');
+}
+
+// Shopify's search is tokenized and fuzzy, so every candidate is re-checked exactly.
+function productMatchesRule(product, match) {
+    if (match.tag && !product.tags.includes(match.tag)) return false;
+    if (match.vendor && product.vendor !== match.vendor) return false;
+    if (match.productType && product.productType !== match.productType) return false;
+    return true;
+}
+
+function isProductMonitored(product, rule) {
+    const flag = product.inventoryMonitoringEnabled?.value;
+    if (flag === 'true') return true;
+    if (flag === 'false') return false;
+    return rule.monitoringEnabledByDefault;
+}
+
+function isVariantExcluded(variant, rule) {
+    return rule.excludeVariantTitle.some(pattern => pattern.test(variant.title)) ||
+        rule.excludeSku.some(pattern => pattern.test(variant.sku || ''));
+}
+
+function resolveAlertThreshold(variant, rule) {
+    const override = parseInt(variant.inventoryAlertThreshold?.value, 10);
+    return Number.isNaN(override) ? rule.defaultThreshold : override;
+}
+
+// Per-location thresholds are keyed by location name, e.g. { "Main Warehouse": 20, "Shop": 5 }.
+// The variant's JSON metafield overrides the rule's value location by location.
+function resolveLocationThresholds(variant, rule) {
+    let overrides = {};
+    try {
+        if (variant.locationThresholds?.value) overrides = JSON.parse(variant.locationThresholds.value);
+    } catch (e) {
+        console.warn(`[${rule.id}] Ignoring malformed inventory_location_thresholds on ${variant.sku || variant.id}.`);
+    }
+    return { ...rule.locationThresholds, ...overrides };
+}
+
+// --- PURCHASING ---
+// Purchase orders group items by custom.supplier (variant, then product), falling back to the vendor.
+function resolveSupplier(variant, product) {
+    return variant.supplier?.value || product.supplier?.value || product.vendor || 'Unknown Supplier';
+}
+
+// custom.target_stock_level on the variant, or the rule's targetStockFactor times the threshold
+// (the sum of the location thresholds when there's no total threshold).
+function resolveTargetStock(variant, alertThreshold, locations, rule) {
+    const value = parseInt(variant.targetStockLevel?.value, 10);
+    if (!Number.isNaN(value)) return value;
+    const threshold = alertThreshold || locations.reduce((sum, l) => sum + l.threshold, 0);
+    return Math.ceil(threshold * rule.targetStockFactor);
+}
+
+function resolveMinimumOrderQuantity(variant, product) {
+    const value = parseInt(variant.minimumOrderQuantity?.value ?? product.minimumOrderQuantity?.value, 10);
+    return Number.isNaN(value) ? 0 : value;
+}
+
+// --- CATALOG SCAN ---
+// Page sizes are kept small enough that each request stays well under Shopify's
+// 1000-point single query cost limit. Variant pages carry up to MAX_LOCATIONS inventory
+// levels each, which is what keeps the variant page size down. Throttling is handled
+// by shopifyGraphqlClient (see lib/shopify.js).
+const PRODUCTS_PAGE_SIZE = 50;
+const VARIANTS_PAGE_SIZE = 40;
+const MAX_LOCATIONS = 5;
+
+const VARIANT_FIELDS = `
+    id title inventoryQuantity sku
+    inventoryAlertThreshold: metafield(namespace: "custom", key: "inventory_alert_threshold") { value }
+    historicalOrderCount: metafield(namespace: "custom", key: "historical_order_count") { value }
+    locationThresholds: metafield(namespace: "custom", key: "inventory_location_thresholds") { value }
+    leadTimeDays: metafield(namespace: "custom", key: "supplier_lead_time_days") { value }
+    supplier: metafield(namespace: "custom", key: "supplier") { value }
+    targetStockLevel: metafield(namespace: "custom", key: "target_stock_level") { value }
+    minimumOrderQuantity: metafield(namespace: "custom", key: "minimum_order_quantity") { value }
+    inventoryItem { inventoryLevels(first: ${MAX_LOCATIONS}) { edges { node {
+        location { name }
+        quantities(names: ["available"]) { quantity }
+    }}}}
+`;
+
+// Pages through every variant of a product. Spoke products carry 100+ length variants,
+// so a single connection page is not enough.
+async function fetchAllVariants(productId) {
+    const variants = [];
+    let after = null;
+    let hasNextPage = true;
+    while (hasNextPage) {
+        const response = await shopifyGraphqlClient(`query($id: ID!, $cursor: String) { product(id: $id) {
+            variants(first: ${VARIANTS_PAGE_SIZE}, after: $cursor) {
+                pageInfo { hasNextPage endCursor }
+                edges { node { ${VARIANT_FIELDS} } }
+            }
+        }}`, { id: productId, cursor: after });
+        const connection = response.data.product.variants;
+        variants.push(...connection.edges.map(e => e.node));
+        hasNextPage = connection.pageInfo.hasNextPage;
+        after = connection.pageInfo.endCursor;
+    }
+    return variants;
+}
+
+const PRODUCT_FIELDS = `
+    id title vendor productType tags
+    inventoryMonitoringEnabled: metafield(namespace: "custom", key: "inventory_monitoring_enabled") { value }
+    leadTimeDays: metafield(namespace: "custom", key: "supplier_lead_time_days") { value }
+    supplier: metafield(namespace: "custom", key: "supplier") { value }
+    minimumOrderQuantity: metafield(namespace: "custom", key: "minimum_order_quantity") { value }
+`;
+
+// Fetches one page of a rule's candidate products. Collection rules page through the
+// collection itself; every other rule uses the product search syntax.
+async function fetchRuleProductsPage(rule, cursor) {
+    const { match } = rule;
+    if (match.collection) {
+        const response = await shopifyGraphqlClient(`query($handle: String!, $cursor: String) {
+            collectionByHandle(handle: $handle) {
+                products(first: ${PRODUCTS_PAGE_SIZE}, after: $cursor) {
+                    pageInfo { hasNextPage endCursor }
+                    edges { node { ${PRODUCT_FIELDS} } }
+                }
+            }
+        }`, { handle: match.collection, cursor });
+        return response.data.collectionByHandle?.products || null;
+    }
+    const response = await shopifyGraphqlClient(`query($query: String!, $cursor: String) {
+        products(first: ${PRODUCTS_PAGE_SIZE}, after: $cursor, query: $query) {
+            pageInfo { hasNextPage endCursor }
+            edges { node { ${PRODUCT_FIELDS} } }
+        }
+    }`, { query: buildProductSearchQuery(match), cursor });
+    return response.data.products;
+}
+
+// Returns every product a rule monitors, with ALL of its variants attached.
+// Products are paged with cursors; variants are paged per product so that products
+// with monitoring disabled never cost us a variant query.
+async function fetchMonitoredProducts(rule) {
+    const products = [];
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+        const connection = await fetchRuleProductsPage(rule, cursor);
+        if (!connection) {
+            console.warn(`Monitoring rule "${rule.id}": collection "${rule.match.collection}" not found.`);
+            break;
+        }
+
+        for (const { node: product } of connection.edges) {
+            if (!productMatchesRule(product, rule.match) || !isProductMonitored(product, rule)) continue;
+            products.push({
+                id: product.id,
+                title: product.title,
+                vendor: product.vendor,
+                leadTimeDays: product.leadTimeDays,
+                supplier: product.supplier,
+                minimumOrderQuantity: product.minimumOrderQuantity,
+                variants: await fetchAllVariants(product.id),
+            });
+        }
+
+        hasNextPage = connection.pageInfo.hasNextPage;
+        cursor = connection.pageInfo.endCursor;
+    }
+    return products;
+}
+
+// --- REPORT SNAPSHOTS ---
+// Each rule's last report is kept as a snapshot keyed by variant GID, with quantities, so the
+// next report can say what changed. Upstash serializes the object to JSON and parses it on read.
+// Items are "new" (newly low), "worsened" (lower than last reported), "unchanged" (still low,
+// not lower) or "recovered" (reported last time, no longer low).
+const reportSnapshotKey = (ruleId) => `last_report_snapshot:${ruleId}`;
+
+
+async function loadReportSnapshot(rule) {
+    const snapshot = await redis.get(reportSnapshotKey(rule.id));
+    if (snapshot === null) return {};
+    if (typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+        console.warn(`[${rule.id}] Previous report snapshot is malformed. Starting fresh.`);
+        return {};
+    }
+    return snapshot;
+}
+
+function toSnapshot(items) {
+    return Object.fromEntries(items.map(item => [item.variantId, {
+        productTitle: item.productTitle,
+        variantTitle: item.variantTitle,
+        sku: item.sku,
+        quantity: item.quantity,
+        alertThreshold: item.alertThreshold,
+    }]));
+}
+
+// Marks each current item with its change since the previous snapshot and returns the
+// previously reported items that have recovered, with their current quantity where we still see it.
+function classifyChanges(items, previousSnapshot, products) {
+    for (const item of items) {
+        const previous = previousSnapshot[item.variantId];
+        item.previousQuantity = previous ? previous.quantity : null;
+        item.change = !previous ? 'new' : item.quantity < previous.quantity ? 'worsened' : 'unchanged';
+    }
+
+    const currentIds = new Set(items.map(item => item.variantId));
+    const quantities = new Map(products.flatMap(product => product.variants.map(variant => [variant.id, variant.inventoryQuantity])));
+    return Object.entries(previousSnapshot)
+        .filter(([variantId]) => !currentIds.has(variantId))
+        .map(([variantId, previous]) => ({
+            variantId,
+            ...previous,
+            previousQuantity: previous.quantity,
+            quantity: quantities.has(variantId) ? quantities.get(variantId) : null,
+            change: 'recovered',
+        }));
+}
+
+// --- REPORT MODE ---
+// LOW_STOCK_REPORT_MODE: "per_order" (default) checks shortly after each order and only reports
+// when an item becomes low or recovers; "digest" skips the per-order check and sends one report a
+// day from /api/low-stock-digest (see vercel.json), whatever changed.
+export const REPORT_MODES = ['per_order', 'digest'];
+
+export function resolveReportMode() {
+    const mode = process.env.LOW_STOCK_REPORT_MODE || 'per_order';
+    if (!REPORT_MODES.includes(mode)) {
+        console.warn(`Unknown LOW_STOCK_REPORT_MODE "${mode}", falling back to "per_order".`);
+        return 'per_order';
+    }
+    return mode;
+}
+
+// The full scan takes longer than Shopify waits for a webhook, so in per-order mode orders/create
+// only queues a check and /api/low-stock-checks (see vercel.json) runs it. Orders placed between
+// runs share one check.
+const PENDING_CHECK_KEY = 'low_stock_check_pending';
+
+export async function queueLowStockCheck() {
+    await redis.set(PENDING_CHECK_KEY, Date.now());
+}
+
+// Returns false if no order has queued a check since the last run. A failed check is re-queued.
+export async function runQueuedLowStockCheck() {
+    const queuedAt = await redis.getdel(PENDING_CHECK_KEY);
+    if (!queuedAt) return false;
+    try {
+        await runLowStockChecks('order');
+    } catch (error) {
+        await redis.set(PENDING_CHECK_KEY, queuedAt, { nx: true });
+        throw error;
+    }
+    return true;
+}
+
+// --- CORE LOGIC FUNCTIONS ---
+function findLowStockItems(products, rule) {
+    const lowStockItems = [];
+    for (const product of products) {
+      for (const variant of product.variants) {
+        if (isVariantExcluded(variant, rule)) continue;
+
+        // A threshold of 0 (no metafield and no rule default) means that check is off.
+        const alertThreshold = resolveAlertThreshold(variant, rule);
+        const locationThresholds = resolveLocationThresholds(variant, rule);
+        const locations = variant.inventoryItem.inventoryLevels.edges.map(({ node: level }) => {
+            const threshold = locationThresholds[level.location.name] || 0;
+            const available = level.quantities[0].quantity;
+            return { name: level.location.name, available, threshold, isLow: threshold > 0 && available < threshold };
+        });
+
+        const isTotalLow = alertThreshold > 0 && variant.inventoryQuantity < alertThreshold;
+        if (isTotalLow || locations.some(l => l.isLow)) {
+          lowStockItems.push({
+            variantId: variant.id,
+            productTitle: product.title, 
+            alertThreshold: alertThreshold,
+            variantTitle: variant.title,
+            sku: variant.sku, 
+            quantity: variant.inventoryQuantity,
+            locations,
+            leadTimeDays: resolveLeadTimeDays(variant, product, rule),
+            historicalCount: parseInt(variant.historicalOrderCount?.value, 10) || 0,
+            supplier: resolveSupplier(variant, product),
+            targetStock: resolveTargetStock(variant, alertThreshold, locations, rule),
+            minimumOrderQuantity: resolveMinimumOrderQuantity(variant, product),
+          });
+        }
+      }
+    }
+    return lowStockItems;
+}
+
+async function checkLowStockForRule(rule, trigger) {
+    const products = await fetchMonitoredProducts(rule);
+    const currentLowStockItems = findLowStockItems(products, rule);
+    console.log(`[${rule.id}] Scanned ${products.length} monitored products, ${currentLowStockItems.length} low-stock variants.`);
+
+    // Velocity is only needed for every variant when thresholds are being tuned.
+    const tuningMode = resolveThresholdTuningMode();
+    const forecastVariantIds = tuningMode === 'off'
+        ? currentLowStockItems.map(item => item.variantId)
+        : products.flatMap(product => product.variants.map(variant => variant.id));
+    const velocities = await fetchSalesVelocities(forecastVariantIds.map(legacyId));
+    for (const item of currentLowStockItems) {
+        item.forecast = buildForecast(item.quantity, velocities.get(legacyId(item.variantId)), item.leadTimeDays, rule.reorderCoverDays);
+    }
+
+    // Back-in-stock signups show the demand behind each low item.
+    const waitlistCounts = await fetchWaitlistCounts(currentLowStockItems.map(item => legacyId(item.variantId)));
+    for (const item of currentLowStockItems) {
+        item.waitlistCount = waitlistCounts.get(legacyId(item.variantId)) || 0;
+    }
+
+    const thresholdSuggestions = tuningMode === 'off' ? [] : suggestThresholds(products, rule, velocities);
+    if (tuningMode === 'write' && thresholdSuggestions.length > 0) {
+        await writeThresholds(thresholdSuggestions);
+    }
+    
+    const previousSnapshot = await loadReportSnapshot(rule);
+    const recoveredItems = classifyChanges(currentLowStockItems, previousSnapshot, products);
+    const newCount = currentLowStockItems.filter(item => item.change === 'new').length;
+
+    // Per-order checks only report when the set of low items changes; digests and manual runs
+    // report whenever anything is low or has recovered.
+    if (trigger === 'order' && newCount === 0 && recoveredItems.length === 0) {
+      console.log(`[${rule.id}] No newly low or recovered items. No new report needed.`);
+      return;
+    }
+    if (currentLowStockItems.length === 0 && recoveredItems.length === 0) {
+      console.log(`[${rule.id}] Nothing is low and nothing has recovered. No report needed.`);
+      return;
+    }
+
+    const isDigest = trigger === 'digest';
+    const generatedAt = new Date().toISOString();
+    const purchaseOrders = buildPurchaseOrders(currentLowStockItems);
+    // LOW_STOCK_REPORT_CONVERSIONS=true adds back-in-stock conversion rates for the rule's products.
+    const conversions = process.env.LOW_STOCK_REPORT_CONVERSIONS === 'true'
+        ? await fetchConversionStats(products.map(product => legacyId(product.id)))
+        : [];
+
+    const report = renderTemplate('low_stock_report', {
+        ruleName: rule.name,
+        isDigest,
+        items: currentLowStockItems,
+        recovered: recoveredItems,
+        purchaseOrders,
+        conversions,
+        thresholdSuggestions,
+        thresholdsWritten: tuningMode === 'write',
+    });
+    const { notified } = await dispatchAlert('low_stock_report', {
+        ...report,
+        data: { ruleId: rule.id, trigger, items: currentLowStockItems, recovered: recoveredItems, purchaseOrders, conversions },
+        attachments: purchaseOrders.map(order => ({
+            filename: purchaseOrderFilename(rule.id, order, generatedAt),
+            content: Buffer.from(purchaseOrderCsv(order)).toString('base64'),
+        })),
+    }, { recipients: rule.recipients });
+    console.log(`[${rule.id}] ${isDigest ? 'Digest' : 'Cumulative report'} sent successfully.`);
+    await recordAuditEvent({
+        type: 'low_stock_report',
+        trigger: { source: trigger, ruleId: rule.id },
+        items: [...currentLowStockItems, ...recoveredItems].map(item => ({
+            variantId: item.variantId,
+            sku: item.sku,
+            change: item.change,
+            before: item.previousQuantity,
+            after: item.quantity,
+        })),
+        notified,
+    });
+
+    await redis.set(reportSnapshotKey(rule.id), toSnapshot(currentLowStockItems));
+    await savePurchaseOrders(rule.id, purchaseOrders, generatedAt);
+    console.log(`[${rule.id}] Updated low-stock snapshot in database memory.`);
+}
+
+// Runs every monitoring rule. `trigger` is "order", "digest" or "manual".
+export async function runLowStockChecks(trigger) {
+    for (const rule of monitoringRules) {
+        await checkLowStockForRule(rule, trigger);
+    }
+}
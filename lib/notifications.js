@@ -0,0 +1,133 @@
+// Alert dispatcher. An alert is { subject, html, text, data, attachments };
+// config/alert-channels.js says which channels each alert type goes to, and each channel
+// adapter sends the parts it can show.
+
+import { Resend } from 'resend';
+import alertChannelsConfig from '../config/alert-channels.js';
+import { isDryRun, recordPlan } from './dry-run.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+// --- CHANNEL ADAPTERS ---
+// Every adapter talks plain HTTP, so each can be pointed at a local stub: the Slack and webhook
+// adapters post to the channel's `url`, and Resend honours RESEND_BASE_URL.
+
+// Slack rejects very long messages; the full report is still in the email.
+const SLACK_TEXT_LIMIT = 3000;
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(`${response.status} from ${new URL(url).host}: ${await response.text()}`);
+  }
+}
+
+// { type: 'email', to?: [...] } - `to` defaults to the recipients passed with the alert.
+async function sendEmail(channel, alert, context) {
+  const { error } = await resend.emails.send({
+    from: channel.from || context.from,
+    to: channel.to,
+    subject: alert.subject,
+    html: alert.html,
+    text: alert.text,
+    attachments: alert.attachments,
+  });
+  if (error) throw new Error(`Resend: ${error.message}`);
+}
+
+// { type: 'slack', url } - a Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat...).
+async function postSlack(channel, alert) {
+  let text = `*${alert.subject}*\n${alert.text}`;
+  if (text.length > SLACK_TEXT_LIMIT) text = `${text.slice(0, SLACK_TEXT_LIMIT)}\n… (truncated)`;
+  await postJson(channel.url, { text });
+}
+
+// { type: 'webhook', url, headers? } - the whole alert as JSON, for anything else.
+// Attachments are sent as { filename, content } with base64 content, as for email.
+async function postWebhook(channel, alert, context) {
+  await postJson(channel.url, {
+    alertType: context.type,
+    subject: alert.subject,
+    text: alert.text,
+    html: alert.html,
+    data: alert.data || null,
+    attachments: alert.attachments || [],
+    sentAt: new Date().toISOString(),
+  }, channel.headers);
+}
+
+export const channelAdapters = {
+  email: sendEmail,
+  slack: postSlack,
+  webhook: postWebhook,
+};
+
+// --- CONFIGURATION ---
+
+function loadAlertChannels(config) {
+  for (const [type, settings] of Object.entries(config.alerts)) {
+    for (const channel of settings.channels) {
+      if (!channelAdapters[channel.type]) {
+        throw new Error(`Alert type "${type}" has a channel of unknown type "${channel.type}".`);
+      }
+    }
+  }
+  return config.alerts;
+}
+
+const alertTypes = loadAlertChannels(alertChannelsConfig);
+
+// Fills in email recipients and drops channels that aren't set up.
+function resolveChannels(settings, recipients) {
+  return settings.channels
+    .map(channel => channel.type === 'email'
+      ? { ...channel, to: (channel.to || recipients || []).filter(Boolean) }
+      : channel)
+    .filter(channel => channel.type === 'email' ? channel.to.length > 0 : Boolean(channel.url));
+}
+
+// --- DISPATCH ---
+
+// Sends an alert to every channel configured for its type. A failing channel doesn't stop the
+// others; the dispatch only throws when every channel failed, so callers can retry later.
+// Returns { delivered, failed, notified }, where notified lists { channel, to } (to for email only)
+// for each channel that delivered.
+export async function dispatchAlert(type, alert, { recipients } = {}) {
+  const settings = alertTypes[type];
+  if (!settings) throw new Error(`Unknown alert type "${type}".`);
+
+  const channels = resolveChannels(settings, recipients);
+  if (channels.length === 0) {
+    console.warn(`Alerts: No channels configured for "${type}". "${alert.subject}" was not sent.`);
+    return { delivered: [], failed: [], notified: [] };
+  }
+
+  if (isDryRun()) {
+    recordPlan('alerts', { type, subject: alert.subject, channels: channels.map(c => (c.type === 'email' ? { type: 'email', to: c.to } : { type: c.type })) });
+    return { delivered: [], failed: [], notified: [] };
+  }
+
+  const context = { type, from: settings.from };
+  const delivered = [];
+  const failed = [];
+  const notified = [];
+  for (const channel of channels) {
+    try {
+      await channelAdapters[channel.type](channel, alert, context);
+      delivered.push(channel.type);
+      notified.push(channel.type === 'email' ? { channel: 'email', to: channel.to } : { channel: channel.type });
+    } catch (error) {
+      console.error(`Alerts: Could not send "${type}" through ${channel.type}:`, error.message);
+      failed.push({ channel: channel.type, error: error.message });
+    }
+  }
+
+  if (delivered.length === 0) {
+    throw new Error(`Alert "${type}" failed on every channel (${failed.map(f => f.channel).join(', ')}).`);
+  }
+  return { delivered, failed, notified };
+}
@@ -0,0 +1,99 @@
+// Shopify's mandatory privacy (GDPR) requests for the customer data this app keeps in Redis.
+//
+// Customer emails are stored in back-in-stock waitlists (lib/waitlist.js), in the record of
+// back-in-stock emails sent for conversion tracking (lib/conversions.js), in the audit log's
+// back-in-stock send events (lib/audit-log.js), and in signup rate-limit counters. Order webhooks
+// that failed are also kept, with their full payload, in the dead-letter queue (lib/dead-letters.js)
+// until they're replayed or expire. Nothing else in Redis identifies a customer.
+
+import { dispatchAlert } from './notifications.js';
+import { renderTemplate } from './email-templates.js';
+import { redis } from './redis.js';
+import { deleteKeysMatching } from './sync-index.js';
+import { normalizeEmail, findWaitlistEntries, removeFromAllWaitlists } from './waitlist.js';
+import { getNotificationSends, deleteNotificationSends } from './conversions.js';
+import { findAuditedSends, redactAuditedEmail } from './audit-log.js';
+import { findCustomerDeadLetters, discardDeadLetter } from './dead-letters.js';
+
+const signupRateLimitKey = (email) => `rate_limit:signup_email:${email}`;
+
+// A send is in both the conversion record and the audit log, a moment apart; the audit log
+// keeps it for longer.
+const SAME_SEND_MS = 60 * 1000;
+
+// Everything stored about the address: { email, waitlists, notificationsSent, failedWebhooks }.
+// `customerId` also finds dead-lettered order webhooks that don't include the address.
+export async function findCustomerData(email, customerId) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  const waitlists = await findWaitlistEntries(normalized);
+  const audited = (await findAuditedSends(normalized)).map(event => ({ variantId: event.variantId, sentAt: Date.parse(event.at) }));
+  const deadLetters = await findCustomerDeadLetters(normalized, customerId);
+  const sends = (await getNotificationSends(normalized))
+    .filter(send => !audited.some(a => a.variantId === send.variantId && Math.abs(a.sentAt - send.sentAt) < SAME_SEND_MS));
+  return {
+    email: normalized,
+    waitlists: waitlists.map(entry => ({ variantId: entry.variantId, signedUpAt: new Date(entry.signedUpAt).toISOString() })),
+    notificationsSent: [...audited, ...sends]
+      .sort((a, b) => a.sentAt - b.sentAt)
+      .map(send => ({ variantId: send.variantId, sentAt: new Date(send.sentAt).toISOString() })),
+    failedWebhooks: deadLetters.map(letter => ({ topic: letter.topic, failedAt: letter.firstFailedAt })),
+  };
+}
+
+// customers/data_request: the owner is sent what's stored, to pass on to the customer.
+export async function reportCustomerData(payload) {
+  const data = await findCustomerData(payload.customer?.email, payload.customer?.id);
+  const requestId = payload.data_request?.id;
+  const shop = payload.shop_domain;
+  if (!data) {
+    console.log(`Privacy: Data request ${requestId} for ${shop} has no customer email. Nothing is stored.`);
+    return null;
+  }
+
+  const alertData = { requestId, shop, customerId: payload.customer?.id, ...data };
+  await dispatchAlert('customer_data_request', { ...renderTemplate('customer_data_request', alertData), data: alertData });
+  console.log(`Privacy: Reported ${data.waitlists.length} waitlist entries, ${data.notificationsSent.length} sent notifications and ${data.failedWebhooks.length} failed webhooks for data request ${requestId}.`);
+  return data;
+}
+
+// customers/redact: removes the address from every waitlist, drops its send history and
+// redacts it from the audit log's send events (the events themselves are kept). Dead letters
+// holding the customer's orders are discarded, so they can no longer be replayed.
+export async function redactCustomer(payload) {
+  const email = normalizeEmail(payload.customer?.email);
+  if (!email) {
+    console.log(`Privacy: Redaction for customer ${payload.customer?.id} has no email. Nothing is stored.`);
+    return { waitlists: 0 };
+  }
+
+  const entries = await findWaitlistEntries(email);
+  await removeFromAllWaitlists(email, entries.map(entry => entry.variantId));
+  await deleteNotificationSends(email);
+  await redactAuditedEmail(email);
+  for (const letter of await findCustomerDeadLetters(email, payload.customer?.id)) {
+    await discardDeadLetter(letter.id);
+  }
+  await redis.del(signupRateLimitKey(email));
+  console.log(`Privacy: Redacted customer ${payload.customer?.id} from ${entries.length} waitlists.`);
+  return { waitlists: entries.length };
+}
+
+// Every key that holds customer emails, plus the waitlist state built on them.
+const SHOP_REDACT_PATTERNS = [
+  'stock_notification_requests:*',
+  'waitlist_emails:*',
+  'waitlist_wave_*',
+  'back_in_stock_sends:*',
+  'rate_limit:signup_*',
+  'audit_event*',
+  'dead_letter*',
+];
+
+// shop/redact: sent 48 hours after the store uninstalls the app. Drops all customer data.
+export async function redactShop(payload) {
+  for (const pattern of SHOP_REDACT_PATTERNS) {
+    await deleteKeysMatching(pattern);
+  }
+  console.log(`Privacy: Redacted all customer data for ${payload.shop_domain}.`);
+}
@@ -0,0 +1,79 @@
+// Draft purchase orders built from a low-stock report, one per supplier.
+// The drafts from each rule's latest report are kept in Redis so /api/purchase-orders can
+// serve them as CSV downloads; they are also attached to the report email.
+
+import { redis } from './redis.js';
+import { toCsv } from './csv.js';
+
+const purchaseOrdersKey = (ruleId) => `purchase_order_drafts:${ruleId}`;
+
+// --- QUANTITIES ---
+
+// Orders enough to bring the variant back up to its target stock level, and at least the
+// supplier's minimum order quantity.
+function orderQuantityFor(item) {
+  const shortfall = item.targetStock - item.quantity;
+  if (shortfall <= 0) return 0;
+  return Math.max(shortfall, item.minimumOrderQuantity || 0);
+}
+
+// Groups low-stock items by supplier. Items that don't need ordering (e.g. only one location is
+// low but the total is already at target) are left out.
+export function buildPurchaseOrders(items) {
+  const bySupplier = new Map();
+  for (const item of items) {
+    const orderQuantity = orderQuantityFor(item);
+    if (orderQuantity === 0) continue;
+
+    if (!bySupplier.has(item.supplier)) bySupplier.set(item.supplier, []);
+    bySupplier.get(item.supplier).push({
+      sku: item.sku,
+      productTitle: item.productTitle,
+      variantTitle: item.variantTitle,
+      currentQuantity: item.quantity,
+      threshold: item.alertThreshold,
+      targetStock: item.targetStock,
+      minimumOrderQuantity: item.minimumOrderQuantity,
+      orderQuantity,
+    });
+  }
+
+  return [...bySupplier].map(([supplier, lines]) => ({
+    supplier,
+    lines,
+    totalUnits: lines.reduce((sum, line) => sum + line.orderQuantity, 0),
+  })).sort((a, b) => a.supplier.localeCompare(b.supplier));
+}
+
+// --- CSV ---
+
+const CSV_COLUMNS = [
+  ['SKU', 'sku'],
+  ['Product', 'productTitle'],
+  ['Variant', 'variantTitle'],
+  ['Current Quantity', 'currentQuantity'],
+  ['Alert Threshold', 'threshold'],
+  ['Target Stock', 'targetStock'],
+  ['Minimum Order Quantity', 'minimumOrderQuantity'],
+  ['Order Quantity', 'orderQuantity'],
+];
+
+export function purchaseOrderCsv(order) {
+  return toCsv(CSV_COLUMNS, order.lines);
+}
+
+export function purchaseOrderFilename(ruleId, order, generatedAt) {
+  const supplierSlug = order.supplier.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'supplier';
+  return `po-${ruleId}-${supplierSlug}-${generatedAt.slice(0, 10)}.csv`;
+}
+
+// --- STORAGE ---
+
+export async function savePurchaseOrders(ruleId, orders, generatedAt) {
+  await redis.set(purchaseOrdersKey(ruleId), { ruleId, generatedAt, orders });
+}
+
+// Returns the stored drafts for a rule, or null if its last report had none.
+export async function getPurchaseOrders(ruleId) {
+  return redis.get(purchaseOrdersKey(ruleId));
+}
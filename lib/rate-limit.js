@@ -0,0 +1,19 @@
+// Fixed-window rate limits kept in Redis.
+
+import { redis } from './redis.js';
+
+// Counts one hit against `rate_limit:{name}` and returns false once `limit` hits have been
+// counted in the current window.
+export async function consumeRateLimit(name, limit, windowSeconds) {
+  const key = `rate_limit:${name}`;
+  const hits = await redis.incr(key);
+  if (hits === 1) await redis.expire(key, windowSeconds);
+  return hits <= limit;
+}
+
+// Vercel puts the client address first in x-forwarded-for.
+export function clientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) return String(forwarded).split(',')[0].trim();
+  return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
@@ -0,0 +1,8 @@
+import { Redis } from '@upstash/redis';
+import { withDryRun } from './dry-run.js';
+
+// Writes are recorded instead of made while a dry run is in progress (see lib/dry-run.js).
+export const redis = withDryRun(new Redis({
+  url: process.env.UPSTASH_REDIS_REST_URL,
+  token: process.env.UPSTASH_REDIS_REST_TOKEN,
+}));
@@ -0,0 +1,74 @@
+// Shared Shopify Admin GraphQL helpers for the ESM handlers.
+
+import { isDryRun, planMutation } from './dry-run.js';
+
+const API_VERSION = '2024-04';
+const MAX_THROTTLE_RETRIES = 5;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isThrottled = (errors) => Array.isArray(errors) && errors.some(e => e.extensions?.code === 'THROTTLED');
+
+// Helper to run GraphQL queries/mutations.
+// Respects Shopify's leaky-bucket rate limit: throttled requests are retried with backoff, and
+// when the bucket has no room for another request of the same cost we wait for it to restore.
+// During a dry run, mutations are recorded in the plan instead of sent (see lib/dry-run.js).
+export async function shopifyGraphqlClient(query, variables) {
+  if (isDryRun() && /^\s*mutation\b/.test(query)) return planMutation(query, variables);
+
+  const shopifyDomain = process.env.SHOPIFY_STORE_DOMAIN || 'loamlabs.myshopify.com';
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(`https://${shopifyDomain}/admin/api/${API_VERSION}/graphql.json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_API_TOKEN,
+      },
+      body: JSON.stringify({ query, variables }),
+    });
+
+    const jsonResponse = await response.json();
+
+    if (isThrottled(jsonResponse.errors) && attempt < MAX_THROTTLE_RETRIES) {
+      const waitMs = 1000 * 2 ** attempt;
+      console.warn(`Shopify throttled the request. Retrying in ${waitMs}ms (attempt ${attempt + 1}).`);
+      await sleep(waitMs);
+      continue;
+    }
+
+    if (jsonResponse.errors) {
+      console.error('Shopify GraphQL Error:', JSON.stringify(jsonResponse.errors, null, 2));
+      throw new Error('GraphQL Error');
+    }
+
+    const cost = jsonResponse.extensions?.cost;
+    if (cost?.throttleStatus && cost.throttleStatus.currentlyAvailable < cost.requestedQueryCost) {
+      const { currentlyAvailable, restoreRate } = cost.throttleStatus;
+      const waitMs = Math.ceil((cost.requestedQueryCost - currentlyAvailable) / restoreRate) * 1000;
+      console.log(`Query cost budget low (${currentlyAvailable} available). Waiting ${waitMs}ms.`);
+      await sleep(waitMs);
+    }
+
+    return jsonResponse;
+  }
+}
+
+// Pages through a connection with cursors and returns every node.
+// The query must accept a `$cursor: String` variable and select `pageInfo { hasNextPage endCursor }`;
+// `getConnection` picks the connection out of the response data.
+export async function fetchAllNodes(query, variables, getConnection) {
+  const nodes = [];
+  let cursor = null;
+  do {
+    const result = await shopifyGraphqlClient(query, { ...variables, cursor });
+    const connection = getConnection(result.data);
+    if (!connection) break;
+    nodes.push(...connection.edges.map(e => e.node));
+    cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+  return nodes;
+}
+
+// "gid://shopify/ProductVariant/123" -> "123"
+export const legacyId = (gid) => String(gid).split('/').pop();
@@ -0,0 +1,129 @@
+// Drift audit for sync groups: finds groups whose members don't hold the same
+// available quantity at a location, proposes a correction and optionally applies it.
+//
+// Source of truth, per location:
+//   1. The member whose variant has custom.inventory_sync_primary = true, if there is one.
+//   2. Otherwise the member whose inventory level was updated most recently.
+
+import { shopifyGraphqlClient, legacyId } from './shopify.js';
+import { listSyncKeys, getSyncGroup } from './sync-index.js';
+import { setQuantityIfUnchanged } from './inventory.js';
+
+async function fetchMemberLevels(members) {
+  const query = `
+    query getSyncGroupLevels($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          primary: metafield(namespace: "custom", key: "inventory_sync_primary") { value }
+          inventoryItem {
+            inventoryLevels(first: 10) {
+              edges {
+                node {
+                  updatedAt
+                  location { id name }
+                  quantities(names: ["available"]) { quantity }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const result = await shopifyGraphqlClient(query, { ids: members.map(m => m.variantId) });
+  const nodesById = new Map(result.data.nodes.filter(Boolean).map(n => [n.id, n]));
+
+  return members.filter(m => nodesById.has(m.variantId)).map(member => {
+    const node = nodesById.get(member.variantId);
+    return {
+      ...member,
+      isPrimary: node.primary?.value === 'true',
+      levels: node.inventoryItem.inventoryLevels.edges.map(({ node: level }) => ({
+        locationId: level.location.id,
+        locationName: level.location.name,
+        available: level.quantities[0].quantity,
+        updatedAt: level.updatedAt,
+      })),
+    };
+  });
+}
+
+function pickSourceOfTruth(entries) {
+  const primary = entries.find(e => e.member.isPrimary);
+  if (primary) return { entry: primary, rule: 'primary' };
+  const latest = entries.reduce((a, b) => (new Date(b.level.updatedAt) > new Date(a.level.updatedAt) ? b : a));
+  return { entry: latest, rule: 'most-recently-updated' };
+}
+
+// Returns one finding per location where the group disagrees.
+export function findGroupDrift(syncKey, membersWithLevels) {
+  const byLocation = new Map();
+  for (const member of membersWithLevels) {
+    for (const level of member.levels) {
+      if (!byLocation.has(level.locationId)) byLocation.set(level.locationId, []);
+      byLocation.get(level.locationId).push({ member, level });
+    }
+  }
+
+  const findings = [];
+  for (const [locationId, entries] of byLocation) {
+    if (entries.length < 2 || new Set(entries.map(e => e.level.available)).size === 1) continue;
+
+    const { entry: source, rule } = pickSourceOfTruth(entries);
+    const proposedQuantity = source.level.available;
+    findings.push({
+      syncKey,
+      locationId,
+      locationName: entries[0].level.locationName,
+      sourceOfTruth: { variantId: source.member.variantId, rule },
+      proposedQuantity,
+      members: entries.map(({ member, level }) => ({
+        variantId: member.variantId,
+        productTitle: member.productTitle,
+        variantTitle: member.variantTitle,
+        available: level.available,
+        updatedAt: level.updatedAt,
+        isPrimary: member.isPrimary,
+      })),
+      corrections: entries
+        .filter(e => e.level.available !== proposedQuantity)
+        .map(({ member, level }) => ({ member, from: level.available, to: proposedQuantity })),
+    });
+  }
+  return findings;
+}
+
+async function repairFinding(finding) {
+  const results = [];
+  for (const correction of finding.corrections) {
+    try {
+      const { changed, from } = await setQuantityIfUnchanged(correction.member, correction.to, legacyId(finding.locationId), { source: 'drift_repair', syncKey: finding.syncKey });
+      results.push({ variantId: correction.member.variantId, from, to: correction.to, repaired: changed });
+    } catch (error) {
+      console.error(`Sync Audit: Could not repair ${correction.member.variantId}:`, error.message);
+      results.push({ variantId: correction.member.variantId, to: correction.to, repaired: false, error: error.message });
+    }
+  }
+  return results;
+}
+
+export async function auditSyncGroups({ repair = false } = {}) {
+  const syncKeys = await listSyncKeys();
+  const drifted = [];
+
+  for (const syncKey of syncKeys) {
+    const members = await getSyncGroup(syncKey);
+    if (members.length < 2) continue;
+
+    const findings = findGroupDrift(syncKey, await fetchMemberLevels(members));
+    for (const finding of findings) {
+      const report = { ...finding, corrections: finding.corrections.map(({ member, from, to }) => ({ variantId: member.variantId, from, to })) };
+      if (repair) report.repairs = await repairFinding(finding);
+      drifted.push(report);
+    }
+  }
+
+  console.log(`Sync Audit: Checked ${syncKeys.length} groups. ${drifted.length} drifted group/location pairs${repair ? ' (repair mode)' : ''}.`);
+  return { groupsChecked: syncKeys.length, repair, drifted };
+}
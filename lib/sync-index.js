@@ -0,0 +1,188 @@
+// Redis index of variants that share a custom.inventory_sync_key.
+//
+// Keys:
+//   sync_key_index:{syncKey}            hash  variantGid -> member
+//   sync_key_index_variants             hash  variantGid -> syncKey   (reverse lookup)
+//   sync_key_index_products:{productGid} set  variantGids indexed for the product
+//
+// A member is { variantId, variantTitle, sku, syncKey, productId, productTitle, inventoryItemId },
+// all ids as GIDs. Members indexed before sku and syncKey were added get them at the next reindex.
+// The index is rebuilt in full by rebuildSyncIndex() and kept current per product from the
+// products/update and products/delete webhooks. A rebuild is written under
+// sync_key_index_rebuild:{buildId}:{key} first, then renamed over the live keys in one MULTI. The variants fetched here also carry the
+// custom.kit_components metafield, so the kit index (lib/kits.js) is maintained from the same reads.
+
+import { randomUUID } from 'crypto';
+import { redis } from './redis.js';
+import { fetchAllNodes } from './shopify.js';
+
+const groupKey = (syncKey) => `sync_key_index:${syncKey}`;
+const productKey = (productId) => `sync_key_index_products:${productId}`;
+const VARIANT_KEYS = 'sync_key_index_variants';
+const REDIS_CHUNK = 500;
+// A rebuild that dies before its swap leaves staged keys behind; they expire after this.
+const REBUILD_TTL_SECONDS = 60 * 60;
+
+const VARIANT_FIELDS = `
+  id
+  title
+  sku
+  inventoryItem { id }
+  syncKey: metafield(namespace: "custom", key: "inventory_sync_key") { value }
+  kitComponents: metafield(namespace: "custom", key: "kit_components") { value }
+`;
+
+export const toMember = (variant, product) => ({
+  variantId: variant.id,
+  variantTitle: variant.title,
+  sku: variant.sku || null,
+  syncKey: variant.syncKey?.value || null,
+  productId: product.id,
+  productTitle: product.title,
+  inventoryItemId: variant.inventoryItem.id,
+});
+
+export async function getSyncGroup(syncKey) {
+  const members = await redis.hgetall(groupKey(syncKey));
+  return members ? Object.values(members) : [];
+}
+
+// Every sync key currently in the index.
+export async function listSyncKeys() {
+  const variantKeys = await redis.hgetall(VARIANT_KEYS);
+  return [...new Set(Object.values(variantKeys || {}))];
+}
+
+export async function fetchProductSyncVariants(productId) {
+  const query = `
+    query getProductVariants($id: ID!, $cursor: String) {
+      product(id: $id) {
+        id
+        title
+        variants(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          edges { node { ${VARIANT_FIELDS} } }
+        }
+      }
+    }
+  `;
+  let product = null;
+  const variants = await fetchAllNodes(query, { id: productId }, (data) => {
+    product = data.product && { id: data.product.id, title: data.product.title };
+    return data.product?.variants;
+  });
+  return { product, variants };
+}
+
+// Replaces everything indexed for one product with its current variants.
+export async function reindexProduct(product, variants) {
+  const previousVariantIds = await redis.smembers(productKey(product.id));
+  const previousKeys = previousVariantIds.length > 0 ? await redis.hmget(VARIANT_KEYS, ...previousVariantIds) : {};
+
+  const tx = redis.multi();
+  for (const variantId of previousVariantIds) {
+    const oldKey = previousKeys?.[variantId];
+    if (oldKey) tx.hdel(groupKey(oldKey), variantId);
+    tx.hdel(VARIANT_KEYS, variantId);
+  }
+  tx.del(productKey(product.id));
+
+  let indexed = 0;
+  for (const variant of variants) {
+    const syncKey = variant.syncKey?.value;
+    if (!syncKey) continue;
+    tx.hset(groupKey(syncKey), { [variant.id]: toMember(variant, product) });
+    tx.hset(VARIANT_KEYS, { [variant.id]: syncKey });
+    tx.sadd(productKey(product.id), variant.id);
+    indexed++;
+  }
+  await tx.exec();
+  return indexed;
+}
+
+export async function removeProduct(productId) {
+  return reindexProduct({ id: productId }, []);
+}
+
+export async function deleteKeysMatching(pattern) {
+  let cursor = 0;
+  do {
+    const [nextCursor, keys] = await redis.scan(cursor, { match: pattern, count: 500 });
+    if (keys.length > 0) await redis.del(...keys);
+    cursor = Number(nextCursor);
+  } while (cursor !== 0);
+}
+
+async function listKeysMatching(pattern) {
+  const found = new Set();
+  let cursor = 0;
+  do {
+    const [nextCursor, keys] = await redis.scan(cursor, { match: pattern, count: 500 });
+    keys.forEach(key => found.add(key));
+    cursor = Number(nextCursor);
+  } while (cursor !== 0);
+  return [...found];
+}
+
+// Every variant in the store, each with its product's { id, title }.
+export async function fetchCatalogVariants() {
+  const query = `
+    query getAllVariants($cursor: String) {
+      productVariants(first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { ${VARIANT_FIELDS} product { id title } } }
+      }
+    }
+  `;
+  return fetchAllNodes(query, {}, (data) => data.productVariants);
+}
+
+// Full-catalog rebuild: indexes every variant in the store that has a sync key.
+// Pass the result of fetchCatalogVariants() to reuse a catalog read.
+// The new index is staged in chunks, then swapped in with one MULTI that renames each staged key
+// over its live key and deletes live keys the rebuild no longer has, so lookups during a rebuild
+// see the old index or the new one, never an empty or partial one.
+export async function rebuildSyncIndex(variants = null) {
+  variants = variants || await fetchCatalogVariants();
+  const keyed = variants.filter(v => v.syncKey?.value);
+
+  const buildPrefix = `sync_key_index_rebuild:${randomUUID()}`;
+  const staged = new Map(); // live key -> staged key
+  for (let i = 0; i < keyed.length; i += REDIS_CHUNK) {
+    const pipeline = redis.pipeline();
+    const created = [];
+    const stage = (liveKey) => {
+      if (!staged.has(liveKey)) {
+        staged.set(liveKey, `${buildPrefix}:${liveKey}`);
+        created.push(staged.get(liveKey));
+      }
+      return staged.get(liveKey);
+    };
+    for (const variant of keyed.slice(i, i + REDIS_CHUNK)) {
+      const syncKey = variant.syncKey.value;
+      pipeline.hset(stage(groupKey(syncKey)), { [variant.id]: toMember(variant, variant.product) });
+      pipeline.hset(stage(VARIANT_KEYS), { [variant.id]: syncKey });
+      pipeline.sadd(stage(productKey(variant.product.id)), variant.id);
+    }
+    created.forEach(key => pipeline.expire(key, REBUILD_TTL_SECONDS));
+    await pipeline.exec();
+  }
+
+  const liveKeys = [
+    ...await listKeysMatching('sync_key_index:*'),
+    ...await listKeysMatching('sync_key_index_products:*'),
+    VARIANT_KEYS,
+  ];
+  const removed = liveKeys.filter(key => !staged.has(key));
+  const swap = redis.multi();
+  if (removed.length > 0) swap.del(...removed);
+  for (const [liveKey, stagedKey] of staged) {
+    swap.rename(stagedKey, liveKey);
+    swap.persist(liveKey);
+  }
+  await swap.exec();
+
+  const groups = new Set(keyed.map(v => v.syncKey.value)).size;
+  console.log(`Sync Index: Rebuilt from ${variants.length} variants. ${keyed.length} variants in ${groups} sync groups.`);
+  return { scannedVariants: variants.length, indexedVariants: keyed.length, groups };
+}
@@ -0,0 +1,111 @@
+// Escaped HTML templating, and the layouts every email and page is wrapped in.
+//
+// html`...` escapes each interpolated value unless it's html`...` output itself (or raw()), so
+// customer- and Shopify-supplied strings can't inject markup. Arrays are joined, and null,
+// undefined and false render as nothing. Branding, senders and footers come from config/email.js.
+
+import emailConfig from '../config/email.js';
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+// Marks markup as trusted. Only for literals in this codebase, never for input.
+export const raw = (value) => new SafeHtml(String(value));
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+// For href and src attributes: anything but an http(s) URL becomes '#', so a javascript: URL can't get through.
+export function safeUrl(url) {
+  return /^https?:\/\//i.test(String(url ?? '')) ? String(url) : '#';
+}
+
+// --- LAYOUTS ---
+// Each takes the template's content and data, and returns { html, text }.
+
+const { brand, footer } = emailConfig;
+
+function customerLayout(content, text, data) {
+  return {
+    html: html`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #333; }
+    .container { max-width: 600px; margin: auto; padding: 20px; border: 1px solid #eee; border-radius: 8px; }
+    .product-box { border: 1px solid #ddd; padding: 20px; text-align: center; border-radius: 5px; margin-top: 20px; }
+    .product-image { max-width: 150px; height: auto; margin-bottom: 20px; }
+    .cta-button { display: inline-block; background-color: ${brand.buttonColor}; color: #ffffff; padding: 14px 28px; text-decoration: none; font-weight: bold; border-radius: 5px; margin-top: 20px; }
+    .footer { text-align: center; font-size: 12px; color: #999; margin-top: 30px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    ${brand.logoUrl && html`<p style="text-align: center;"><a href="${safeUrl(brand.url)}"><img src="${safeUrl(brand.logoUrl)}" alt="${brand.name}" style="max-width: 160px;"></a></p>`}
+    ${content}
+    <p class="footer">${footer.customer}<br><a href="${safeUrl(brand.url)}" style="color: #999;">${brand.name}</a></p>
+    ${data.unsubscribeUrl && html`<p class="footer"><a href="${safeUrl(data.unsubscribeUrl)}" style="color: #999;">Unsubscribe from back-in-stock emails</a></p>`}
+  </div>
+</body>
+</html>`,
+    text: [text, '', '--', footer.customer, brand.url, data.unsubscribeUrl ? `Unsubscribe: ${data.unsubscribeUrl}` : null]
+      .filter(line => line !== null)
+      .join('\n'),
+  };
+}
+
+// Alert text is also posted to chat channels, so it gets no footer.
+function alertLayout(content, text) {
+  return {
+    html: html`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"></head>
+<body style="font-family: sans-serif;">
+  ${content}
+  <hr><p style="font-size: 12px; color: #999;">${footer.alerts}</p>
+</body>
+</html>`,
+    text,
+  };
+}
+
+function pageLayout(content, text, data) {
+  return {
+    html: html`<!DOCTYPE html><html><head><meta charset="utf-8"><title>${data.title || brand.name}</title></head><body style="font-family: sans-serif; text-align: center; padding: 40px;">${content}<p><a href="${safeUrl(brand.url)}">Back to ${brand.name}</a></p></body></html>`,
+    text,
+  };
+}
+
+export const layouts = {
+  customer: customerLayout,
+  alert: alertLayout,
+  page: pageLayout,
+};
+
+export const senders = emailConfig.senders;
@@ -0,0 +1,40 @@
+// Signed, stateless tokens for links we email out (waitlist confirmation and unsubscribe).
+// A token is base64url(JSON payload) + "." + base64url(HMAC-SHA256), signed with WAITLIST_TOKEN_SECRET.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const sign = (encodedPayload, secret) => createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+
+export function hasTokenSecret() {
+  return Boolean(process.env.WAITLIST_TOKEN_SECRET);
+}
+
+// `ttlSeconds` is optional; tokens without it never expire.
+export function createToken(payload, ttlSeconds) {
+  const secret = process.env.WAITLIST_TOKEN_SECRET;
+  if (!secret) throw new Error('WAITLIST_TOKEN_SECRET is not configured.');
+  const body = ttlSeconds ? { ...payload, exp: Date.now() + ttlSeconds * 1000 } : payload;
+  const encodedPayload = Buffer.from(JSON.stringify(body)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload, secret)}`;
+}
+
+// Returns the payload, or null if the token is malformed, forged or expired.
+export function verifyToken(token) {
+  const secret = process.env.WAITLIST_TOKEN_SECRET;
+  if (!secret || typeof token !== 'string') return null;
+
+  const [encodedPayload, signature, ...rest] = token.split('.');
+  if (!encodedPayload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(encodedPayload, secret));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (payload.exp && payload.exp < Date.now()) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,322 @@
+// Back-in-stock waitlists.
+//
+// Keys:
+//   stock_notification_requests:{variantId}  zset  email -> signup time (ms), oldest first
+//   waitlist_emails:{email}                   set   variantIds the address is waiting on
+//
+// Variant ids are legacy (numeric) ids, as posted by the storefront form. Waitlists used to be
+// plain lists that could hold duplicates; a list still in that shape is converted the first time
+// it's touched, keeping its order.
+//
+// WAITLIST_RETENTION_DAYS drops signups older than that many days. Stale entries are pruned
+// whenever a waitlist is read, and daily by the /api/prune-waitlists job.
+
+import { Resend } from 'resend';
+import { redis } from './redis.js';
+import { shopifyGraphqlClient } from './shopify.js';
+import { createToken, hasTokenSecret } from './tokens.js';
+import { dispatchAlert } from './notifications.js';
+import { renderTemplate } from './email-templates.js';
+import { senders } from './templates.js';
+import { isDryRun } from './dry-run.js';
+
+const resend = new Resend(process.env.RESEND_API_KEY);
+
+export const waitlistKey = (variantId) => `stock_notification_requests:${variantId}`;
+const emailKey = (email) => `waitlist_emails:${email}`;
+
+// --- VALIDATION ---
+
+const EMAIL_PATTERN = /^[^\s@<>()",;:]+@[^\s@<>()",;:]+\.[^\s@<>()",;:]{2,}$/;
+
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+export function isValidEmail(email) {
+  return email.length <= 254 && EMAIL_PATTERN.test(email);
+}
+
+export function isValidVariantId(variantId) {
+  return /^\d{1,20}$/.test(String(variantId ?? ''));
+}
+
+// Returns the variant's titles and storefront URL, or null if Shopify doesn't know the id.
+export async function fetchWaitlistVariant(variantId) {
+  const query = `
+    query getWaitlistVariant($id: ID!) {
+      productVariant(id: $id) {
+        id
+        title
+        product { title onlineStoreUrl }
+      }
+    }
+  `;
+  const result = await shopifyGraphqlClient(query, { id: `gid://shopify/ProductVariant/${variantId}` });
+  const variant = result.data?.productVariant;
+  if (!variant) return null;
+  return {
+    variantId: String(variantId),
+    productTitle: variant.product.title,
+    variantTitle: variant.title,
+    productUrl: variant.product.onlineStoreUrl ? `${variant.product.onlineStoreUrl}?variant=${variantId}` : null,
+  };
+}
+
+// --- STORAGE ---
+
+// A legacy list's entries, oldest first and without duplicates. The oldest gets the earliest score.
+async function readLegacyList(key) {
+  // lpush stored the newest first.
+  const emails = [...new Set((await redis.lrange(key, 0, -1)).reverse().map(e => normalizeEmail(String(e))))].filter(Boolean);
+  const now = Date.now();
+  return emails.map((email, i) => ({ email, signedUpAt: now - emails.length + i }));
+}
+
+// Skipped in a dry run: the conversion would only be recorded, so the sorted-set reads after it
+// would still hit the list. getWaitlist reads a legacy list as it is instead.
+async function migrateLegacyList(variantId) {
+  if (isDryRun()) return;
+  const key = waitlistKey(variantId);
+  if (await redis.type(key) !== 'list') return;
+
+  const entries = await readLegacyList(key);
+  const tx = redis.multi();
+  tx.del(key);
+  for (const { email, signedUpAt } of entries) {
+    tx.zadd(key, { score: signedUpAt, member: email });
+    tx.sadd(emailKey(email), String(variantId));
+  }
+  await tx.exec();
+  console.log(`Waitlist: Converted legacy list for variant ${variantId} (${entries.length} unique addresses).`);
+}
+
+// --- RETENTION ---
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+function retentionSeconds() {
+  const days = Number(process.env.WAITLIST_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? Math.ceil(days * DAY_SECONDS) : null;
+}
+
+// Removes signups older than the retention period. Returns the number removed.
+async function pruneWaitlist(variantId) {
+  const retention = retentionSeconds();
+  if (!retention) return 0;
+  const cutoff = Date.now() - retention * 1000;
+  const stale = (await redis.zrange(waitlistKey(variantId), 0, cutoff, { byScore: true })).map(String);
+  if (stale.length === 0) return 0;
+  await removeFromWaitlist(variantId, stale);
+  console.log(`Waitlist: Dropped ${stale.length} signups older than the retention period for variant ${variantId}.`);
+  return stale.length;
+}
+
+// Prunes every waitlist. Returns the number of signups removed.
+export async function pruneAllWaitlists() {
+  if (!retentionSeconds()) return 0;
+  let removed = 0;
+  for (const variantId of await listWaitlistVariantIds()) {
+    await migrateLegacyList(variantId);
+    removed += await pruneWaitlist(variantId);
+  }
+  return removed;
+}
+
+// Returns true if the address was added, false if it was already waiting.
+export async function addToWaitlist(variantId, email) {
+  await migrateLegacyList(variantId);
+  const added = await redis.zadd(waitlistKey(variantId), { nx: true }, { score: Date.now(), member: email });
+  await redis.sadd(emailKey(email), String(variantId));
+
+  // A waitlist (or address) with no signups for the whole retention period expires outright.
+  const retention = retentionSeconds();
+  if (retention) {
+    await redis.expire(waitlistKey(variantId), retention);
+    await redis.expire(emailKey(email), retention);
+  }
+  return added === 1;
+}
+
+export async function isOnWaitlist(variantId, email) {
+  await migrateLegacyList(variantId);
+  return (await redis.zscore(waitlistKey(variantId), email)) !== null;
+}
+
+// Oldest signup first: [{ email, signedUpAt }].
+export async function getWaitlist(variantId) {
+  if (isDryRun() && await redis.type(waitlistKey(variantId)) === 'list') {
+    return readLegacyList(waitlistKey(variantId));
+  }
+  await migrateLegacyList(variantId);
+  await pruneWaitlist(variantId);
+  const flat = await redis.zrange(waitlistKey(variantId), 0, -1, { withScores: true });
+  const entries = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    entries.push({ email: String(flat[i]), signedUpAt: Number(flat[i + 1]) });
+  }
+  return entries;
+}
+
+export async function removeFromWaitlist(variantId, emails) {
+  if (emails.length === 0) return 0;
+  await migrateLegacyList(variantId);
+  const tx = redis.multi();
+  tx.zrem(waitlistKey(variantId), ...emails);
+  for (const email of emails) tx.srem(emailKey(email), String(variantId));
+  const [removed] = await tx.exec();
+  return removed;
+}
+
+// Removes an address from every waitlist it's on. Returns the variant ids it was removed from.
+// `variantIds` adds waitlists the per-address index may not list, such as legacy lists found by
+// findWaitlistEntries.
+export async function removeFromAllWaitlists(email, variantIds = []) {
+  const indexed = (await redis.smembers(emailKey(email))).map(String);
+  variantIds = [...new Set([...indexed, ...variantIds.map(String)])];
+  for (const variantId of variantIds) {
+    await removeFromWaitlist(variantId, [email]);
+  }
+  await redis.del(emailKey(email));
+  return variantIds;
+}
+
+// Every waitlist the address is on, as [{ variantId, signedUpAt }]. Unlike removeFromAllWaitlists,
+// this checks every waitlist rather than trusting the per-address index, which legacy lists never
+// populated. Legacy lists are read as they are, not converted. Used for privacy requests.
+export async function findWaitlistEntries(email) {
+  const variantIds = await listWaitlistVariantIds();
+  if (variantIds.length === 0) return [];
+
+  const pipeline = redis.pipeline();
+  for (const variantId of variantIds) pipeline.zscore(waitlistKey(variantId), email);
+  const results = await pipeline.exec({ keepErrors: true });
+  const entries = [];
+  for (const [i, { error, result }] of results.entries()) {
+    // A WRONGTYPE error means the waitlist is still a legacy list.
+    const signedUpAt = error
+      ? (await readLegacyList(waitlistKey(variantIds[i]))).find(entry => entry.email === email)?.signedUpAt ?? null
+      : result;
+    if (signedUpAt !== null) entries.push({ variantId: variantIds[i], signedUpAt: Number(signedUpAt) });
+  }
+  return entries;
+}
+
+// --- ADMIN & REPORTING ---
+
+// Legacy variant ids of every variant with a waitlist.
+export async function listWaitlistVariantIds() {
+  const variantIds = [];
+  let cursor = 0;
+  do {
+    const [nextCursor, keys] = await redis.scan(cursor, { match: waitlistKey('*'), count: 500 });
+    variantIds.push(...keys.map(key => key.slice(waitlistKey('').length)));
+    cursor = Number(nextCursor);
+  } while (cursor !== 0);
+  return variantIds;
+}
+
+// Waitlist sizes for the given legacy variant ids, as a Map.
+export async function fetchWaitlistCounts(variantIds) {
+  const counts = new Map();
+  if (variantIds.length === 0) return counts;
+
+  const pipeline = redis.pipeline();
+  for (const variantId of variantIds) pipeline.zcard(waitlistKey(variantId));
+  const results = await pipeline.exec({ keepErrors: true });
+  for (const [i, { error, result }] of results.entries()) {
+    // A WRONGTYPE error means the waitlist is still a legacy list; reading it converts it.
+    counts.set(String(variantIds[i]), error ? (await getWaitlist(variantIds[i])).length : result);
+  }
+  return counts;
+}
+
+const SUMMARY_BATCH_SIZE = 100;
+
+// Product info for admin listings, as a Map keyed by legacy variant id. Deleted variants are missing.
+export async function fetchVariantSummaries(variantIds) {
+  const query = `
+    query getVariantSummaries($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on ProductVariant {
+          id
+          title
+          sku
+          inventoryQuantity
+          product { title }
+        }
+      }
+    }
+  `;
+  const summaries = new Map();
+  for (let i = 0; i < variantIds.length; i += SUMMARY_BATCH_SIZE) {
+    const ids = variantIds.slice(i, i + SUMMARY_BATCH_SIZE).map(id => `gid://shopify/ProductVariant/${id}`);
+    const result = await shopifyGraphqlClient(query, { ids });
+    for (const node of result.data.nodes) {
+      if (!node?.id) continue;
+      summaries.set(node.id.split('/').pop(), {
+        productTitle: node.product.title,
+        variantTitle: node.title,
+        sku: node.sku,
+        inventoryQuantity: node.inventoryQuantity,
+      });
+    }
+  }
+  return summaries;
+}
+
+// --- LINKS ---
+
+// Public base URL for links in customer emails. Falls back to the deployment URL Vercel provides.
+export function appBaseUrl() {
+  if (process.env.APP_BASE_URL) return process.env.APP_BASE_URL.replace(/\/$/, '');
+  return process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : '';
+}
+
+const CONFIRMATION_TTL_SECONDS = 60 * 60 * 48;
+
+export function confirmationUrl(variantId, email) {
+  const token = createToken({ action: 'confirm', variantId: String(variantId), email }, CONFIRMATION_TTL_SECONDS);
+  return `${appBaseUrl()}/api/confirm-notification?token=${token}`;
+}
+
+// Unsubscribe links never expire. Without a variant id they remove the address from every waitlist.
+// Returns null when no token secret is configured.
+export function unsubscribeUrl(email, variantId = null) {
+  if (!hasTokenSecret()) return null;
+  const token = createToken({ action: 'unsubscribe', email, variantId: variantId && String(variantId) });
+  return `${appBaseUrl()}/api/unsubscribe-notification?token=${token}`;
+}
+
+// Minimal page for the confirmation and unsubscribe links to land on. `message` is escaped; with
+// `buttonLabel` the page asks the visitor to confirm with a POST first.
+export const waitlistPage = (message, buttonLabel = null) => renderTemplate('waitlist_page', { message, buttonLabel }).html;
+
+// WAITLIST_DOUBLE_OPT_IN=true sends a confirmation link before a signup joins the waitlist.
+// It needs WAITLIST_TOKEN_SECRET to sign the link.
+export function isDoubleOptInEnabled() {
+  if (process.env.WAITLIST_DOUBLE_OPT_IN !== 'true') return false;
+  if (!hasTokenSecret()) {
+    console.error('Waitlist: WAITLIST_DOUBLE_OPT_IN is on but WAITLIST_TOKEN_SECRET is missing. Signups are added without confirmation.');
+    return false;
+  }
+  return true;
+}
+
+// --- EMAILS ---
+
+export async function sendConfirmationEmail(variant, email) {
+  const { subject, html, text } = renderTemplate('waitlist_confirmation', {
+    productTitle: variant.productTitle,
+    variantTitle: variant.variantTitle,
+    confirmUrl: confirmationUrl(variant.variantId, email),
+  });
+  const { error } = await resend.emails.send({ from: senders.customer, to: email, subject, html, text });
+  if (error) throw new Error(`Resend: ${error.message}`);
+}
+
+// Lets the owner know about a new (confirmed) signup.
+export async function alertStockRequest(variant, email) {
+  const data = { email, ...variant };
+  await dispatchAlert('stock_request', { ...renderTemplate('stock_request', data), data });
+}
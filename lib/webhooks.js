@@ -0,0 +1,24 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export async function buffer(readable) {
+  const chunks = [];
+  for await (const chunk of readable) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Reads the raw request body and checks Shopify's HMAC signature over it.
+// Returns the raw body when the signature is valid, or null when it isn't.
+export async function readVerifiedWebhook(req) {
+  const rawBody = (await buffer(req)).toString('utf8');
+  const hmac = req.headers['x-shopify-hmac-sha256'] || '';
+  const hash = createHmac('sha256', process.env.SHOPIFY_WEBHOOK_SECRET).update(rawBody, 'utf8').digest('base64');
+
+  const expected = Buffer.from(hash);
+  const received = Buffer.from(hmac);
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return null;
+  }
+  return rawBody;
+}